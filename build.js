@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import jsyaml from 'js-yaml';
+import { program } from 'commander';
+import { BuildToolError, formatError, isMainModule } from './common.js';
+import { extractPages, markdownUrlExtensions, mapExtension } from './list_pages.js';
+import { navigationContext } from './next_page_resolver.js';
+import { preprocessTemplate } from './mustache_file.js';
+import { mergeDeep, mergeFiles } from './substitutions_merge.js';
+import { TemplateRenderer, addDefaultDisplay } from './mustache_substitution.js';
+import { loadFile } from './schema_validator.js';
+import { formatToc, isMarkdownFile } from './markdown.js';
+import { watchFiles } from './watch.js';
+
+const configHelp = `
+Config file (.json, .yaml, .yml or .toml), paths are relative to the config file:
+  navigation         navigation YAML, as given to list_pages.js (required)
+  root_path          directory holding the page sources, as --root-path of list_pages.js (required)
+  output             output directory, pages are written to <output>/<track>/<file> (required)
+  shared             name of the shared track directory (default: shared)
+  layout             template every page is injected into with {{{file:$page}}} (default: none, pages are
+                     rendered on their own)
+  include_root       --root of mustache_file.js for top level {{{file:...}}} paths (default: .)
+  path_variables     {name: path} path variables for {{{file:$name/...}}}
+  substitutions      list of substitution files merged for every page, rightmost wins
+  page_substitutions list of per page file patterns merged after substitutions when the file exists.
+                     {page} is the page path without extension (track/name), {track} and {name} its parts
+  pages              {"<track>/<file>": [files...]} extra substitution files for single pages
+  array_merge        --arrays strategy of substitutions_merge.js (default: replace)
+  substitution_env   true to interpolate environment variables like --env of substitutions_merge.js
+                     (default: false)
+  url_prefix         --url-prefix of next_page_resolver.js (default: none)
+  id_prefix          --id-prefix of next_page_resolver.js (default: next_page)
+  previous_id_prefix --previous-id-prefix of next_page_resolver.js (default: previous_page)
+  page_id_prefix     --page-id-prefix of next_page_resolver.js (default: page)
+  partials           list of --partials directories of mustache_substitution.js
+  start_delimiter    custom start delimiter (default: {{)
+  end_delimiter      custom end delimiter (default: }})
+
+Every page goes through the same pipeline as the individual tools:
+  mustache_file.js -> substitutions_merge.js + next_page_resolver.js -> mustache_substitution.js
+The next page keys of the last page and the previous page keys of the first page are set to false,
+so they can be rendered with {{^next_page}} and {{^previous_page}}.
+
+Markdown pages (.md, .markdown) are rendered to HTML, written and linked as .html files. Their front
+matter, and that of HTML pages and includes, is merged over the substitution files. The headings
+of the Markdown are in toc (nested {level, text, id, url, children} items) and toc_html, which are
+empty for other pages.
+`;
+
+/**
+ * Read a build config file and resolve its paths against the config file's directory
+ */
+function loadBuildConfig(configPath) {
+  const raw = loadFile(configPath);
+  const base = path.dirname(configPath);
+  const resolve = p => path.join(base, p);
+  const fail = message => { throw new BuildToolError(message, {location: configPath}); };
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+  const isPathList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!isObject(raw))
+    fail('The build config must be an object of settings');
+  for (const key of ['navigation', 'root_path', 'output'])
+    if (typeof raw[key] !== 'string')
+      fail(`"${key}" is required`);
+  for (const key of ['substitutions', 'page_substitutions', 'partials'])
+    if (raw[key] !== undefined && !isPathList(raw[key]))
+      fail(`"${key}" must be a list of paths`);
+  for (const key of ['pages', 'path_variables'])
+    if (raw[key] !== undefined && !isObject(raw[key]))
+      fail(`"${key}" must be an object`);
+  for (const [page, files] of Object.entries(raw.pages ?? {}))
+    if (!isPathList(files))
+      fail(`"pages" of ${page} must be a list of paths`);
+  for (const [name, value] of Object.entries(raw.path_variables ?? {}))
+    if (typeof value !== 'string')
+      fail(`"path_variables" of ${name} must be a path`);
+  return {
+    navigation: resolve(raw.navigation),
+    rootPath: resolve(raw.root_path),
+    output: resolve(raw.output),
+    shared: raw.shared ?? 'shared',
+    layout: raw.layout ? resolve(raw.layout) : null,
+    includeRoot: resolve(raw.include_root ?? '.'),
+    pathVariables: Object.fromEntries(Object.entries(raw.path_variables ?? {}).map(([k, v]) => [k, resolve(v)])),
+    substitutions: (raw.substitutions ?? []).map(resolve),
+    pageSubstitutions: (raw.page_substitutions ?? []).map(resolve),
+    pages: Object.fromEntries(Object.entries(raw.pages ?? {}).map(([page, files]) => [page, files.map(resolve)])),
+    arrayMerge: raw.array_merge ?? 'replace',
+    substitutionEnv: raw.substitution_env ?? false,
+    urlPrefix: raw.url_prefix ?? '',
+    idPrefix: raw.id_prefix ?? 'next_page',
+    previousIdPrefix: raw.previous_id_prefix ?? 'previous_page',
+    pageIdPrefix: raw.page_id_prefix ?? 'page',
+    partials: (raw.partials ?? []).map(resolve),
+    startDelimiter: raw.start_delimiter ?? '{{',
+    endDelimiter: raw.end_delimiter ?? '}}'
+  };
+}
+
+function loadNavigation(config) {
+  return jsyaml.load(fs.readFileSync(config.navigation, 'utf8'));
+}
+
+/**
+ * Every page in navigation order with its source and output paths, drafts only in development
+ */
+function listBuildPages(config, navigation, {development = false} = {}) {
+  return extractPages(navigation, {shared: config.shared, development}).map(page => ({
+    page,
+    source: path.join(config.rootPath, page),
+    output: path.join(config.output, mapExtension(page, markdownUrlExtensions))
+  }));
+}
+
+/**
+ * Substitution files for a page in merge order, per page patterns only when the file exists
+ */
+function substitutionFiles(config, page) {
+  const parsed = path.parse(page);
+  const fields = {page: path.join(parsed.dir, parsed.name), track: parsed.dir, name: parsed.name};
+  const patterned = config.pageSubstitutions
+    .map(pattern => pattern.replace(/\{(page|track|name)\}/g, (_, field) => fields[field]))
+    .filter(file => fs.existsSync(file));
+  return [...config.substitutions, ...patterned, ...(config.pages[page] ?? [])];
+}
+
+/**
+ * Render a single page and write it to its output path.
+ * Markdown pages and {{{markdown:...}}} includes are rendered to HTML, their headings are the toc
+ * and toc_html of the page. Their front matter and that of HTML pages and includes is merged over
+ * the substitution files.
+ * Every file the output depends on is added to dependencies, also when the build fails.
+ */
+function buildPage(config, navigation, renderer, {page, source, output}, {development = false, dependencies = new Set()} = {}) {
+  dependencies.add(config.navigation);
+  dependencies.add(source);
+
+  const frontMatter = {};
+  const toc = [];
+  const includeOptions = {
+    rootPath: config.includeRoot,
+    dependencies,
+    development,
+    frontMatter,
+    toc,
+    headingIds: new Set(),
+    markdownFiles: new Set(isMarkdownFile(source) ? [path.resolve(source)] : []),
+    mustacheTags: [config.startDelimiter, config.endDelimiter]
+  };
+  const sourceMap = [];
+  let template;
+  if (config.layout) {
+    dependencies.add(config.layout);
+    template = preprocessTemplate(fs.readFileSync(config.layout, 'utf8'), {
+      ...includeOptions,
+      pathVariables: {...config.pathVariables, page: path.resolve(source)},
+      templatePath: config.layout,
+      sourceMap
+    });
+  }
+  else
+    template = preprocessTemplate(fs.readFileSync(source, 'utf8'), {
+      ...includeOptions,
+      pathVariables: config.pathVariables,
+      templatePath: source,
+      sourceMap
+    });
+
+  const files = substitutionFiles(config, page);
+  for (const file of files)
+    dependencies.add(file);
+  const substitutions = mergeDeep(mergeFiles(files, {arrays: config.arrayMerge, env: config.substitutionEnv ? process.env : null, dependencies}), frontMatter);
+  const context = {
+    ...addDefaultDisplay(substitutions),
+    toc,
+    toc_html: formatToc(toc),
+    ...navigationContext(navigation, page, {...config, urlExtensions: markdownUrlExtensions, development})
+  };
+
+  const html = renderer.render(template, context, config.layout ?? source, dependencies, sourceMap);
+  fs.mkdirSync(path.dirname(output), {recursive: true});
+  fs.writeFileSync(output, html, 'utf8');
+  return dependencies;
+}
+
+function createRenderer(config, development) {
+  return new TemplateRenderer(config.startDelimiter, config.endDelimiter, development, config.partials);
+}
+
+/**
+ * Build every page in the navigation, or only the pages in the only Set.
+ * Stops at the first failing page unless keepGoing, then failures are collected and returned.
+ */
+function buildSite(config, {development = false, keepGoing = false, only = null} = {}) {
+  const navigation = loadNavigation(config);
+  const renderer = createRenderer(config, development);
+  const built = [];
+  const failed = [];
+  for (const entry of listBuildPages(config, navigation, {development})) {
+    if (only && !only.has(entry.page))
+      continue;
+    const dependencies = new Set();
+    try {
+      buildPage(config, navigation, renderer, entry, {development, dependencies});
+      built.push({...entry, dependencies});
+    } catch (error) {
+      if (!keepGoing)
+        throw error;
+      failed.push({...entry, dependencies, error});
+    }
+  }
+  return {built, failed};
+}
+
+/**
+ * Build the site, then rebuild the pages whose templates, includes, partials or
+ * substitution files change. Navigation and config changes rebuild every page.
+ * onBuild is called with the result of every build.
+ * Returns the file watcher with the current build config as its config property.
+ */
+function watchSite(configPath, {output = null, development = false, onBuild = () => {}} = {}) {
+  let config;
+  const pageDependencies = new Map(); // page -> Set of absolute paths
+
+  const build = only => {
+    if (!only) {
+      config = loadBuildConfig(configPath);
+      if (output)
+        config.output = output;
+      pageDependencies.clear();
+    }
+    const result = buildSite(config, {development, keepGoing: true, only});
+    for (const {page, dependencies} of [...result.built, ...result.failed])
+      pageDependencies.set(page, new Set([...dependencies].map(f => path.resolve(f))));
+    onBuild(result);
+    return result;
+  };
+  const watchList = () => [configPath, ...[...pageDependencies.values()].flatMap(deps => [...deps])];
+
+  const rebuild = changed => {
+    const fullRebuild = !config
+      || changed.has(path.resolve(configPath))
+      || changed.has(path.resolve(config.navigation));
+    let only = null;
+    if (!fullRebuild) {
+      only = new Set();
+      for (const [page, dependencies] of pageDependencies)
+        if ([...changed].some(f => dependencies.has(f)))
+          only.add(page);
+      // A partial no page depends on may have been added, for a page that is missing it
+      const isPartial = f => config.partials.some(dir => path.dirname(f) === path.resolve(dir));
+      const isDependency = f => [...pageDependencies.values()].some(dependencies => dependencies.has(f));
+      if ([...changed].some(f => isPartial(f) && !isDependency(f)))
+        only = null;
+    }
+    build(only);
+  };
+
+  try {
+    build(null);
+  } catch (error) {
+    console.error(formatError(error));
+  }
+  const watcher = watchFiles(watchList(), changed => {
+    console.error(`Changed: ${[...changed].join(', ')}`);
+    try {
+      rebuild(changed);
+    } catch (error) {
+      console.error(formatError(error));
+    }
+    watcher.update(watchList(), config?.partials ?? []);
+  }, {directories: config?.partials ?? []});
+  return {
+    update: watcher.update,
+    close: watcher.close,
+    get config() { return config; }
+  };
+}
+
+function reportBuild({built, failed}) {
+  for (const {page, error} of failed)
+    console.error(`${page}: ${formatError(error)}`);
+  console.error(`Built ${built.length} pages` + (failed.length > 0 ? `, ${failed.length} failed` : ''));
+}
+
+function main() {
+  program
+    .name('build')
+    .description('Build every page of the navigation in a single process')
+    .requiredOption('--config <file>', 'build config file (.json, .yaml, .yml, .toml)')
+    .option('--output <dir>', 'override the output directory of the config file')
+    .option('--development', 'make validation warnings instead of errors', false)
+    .option('--keep-going', 'keep building the other pages when one fails, like make -k', false)
+    .option('--watch', 'rebuild the affected pages whenever a source file changes', false)
+    .addHelpText('after', configHelp)
+    .parse();
+  const options = program.opts();
+
+  if (options.watch) {
+    watchSite(options.config, {...options, onBuild: reportBuild});
+    console.error('Watching for changes...');
+    return;
+  }
+
+  try {
+    const config = loadBuildConfig(options.config);
+    if (options.output)
+      config.output = options.output;
+    const start = Date.now();
+    const {built, failed} = buildSite(config, options);
+    for (const {page, error} of failed)
+      console.error(`${page}: ${formatError(error)}`);
+    console.error(`Built ${built.length} pages into ${config.output} in ${Date.now() - start}ms` +
+                  (failed.length > 0 ? `, ${failed.length} failed` : ''));
+    if (failed.length > 0)
+      process.exit(1);
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+}
+
+export { loadBuildConfig, loadNavigation, listBuildPages, buildPage, buildSite, watchSite, createRenderer };
+
+if (isMainModule(import.meta.url))
+  main();
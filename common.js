@@ -0,0 +1,118 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Base class for errors thrown by the library functions.
+ * location is an editor and make friendly file:line:col string when the error points at a tag.
+ * diagnostics holds every problem found when a single run reports more than one.
+ */
+export class BuildToolError extends Error {
+  constructor(message, {location = null, diagnostics = []} = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.location = location;
+    this.diagnostics = diagnostics;
+  }
+
+  /**
+   * Format the error the way the command line tools print it
+   */
+  format() {
+    if (this.diagnostics.length > 0)
+      return this.diagnostics.map(d => formatDiagnostic('Error', d)).join('\n');
+    return formatDiagnostic('Error', this);
+  }
+}
+
+/** Template syntax errors and undefined variables, sections or partials */
+export class TemplateError extends BuildToolError {}
+
+/** File include errors from preprocessTemplate */
+export class IncludeError extends BuildToolError {}
+
+/** Malformed navigation structures or pages that cannot be found in them */
+export class NavigationError extends BuildToolError {}
+
+/** Unreadable or invalid substitution files */
+export class MergeError extends BuildToolError {}
+
+/** Schema loading errors and data that does not conform to its schema */
+export class SchemaValidationError extends BuildToolError {
+  constructor(message, {errors = [], warnings = [], ...rest} = {}) {
+    super(message, rest);
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
+/**
+ * Format a {location, message} diagnostic as "file:line:col: Severity: message"
+ */
+export function formatDiagnostic(severity, {location, message}) {
+  return location ? `${location}: ${severity}: ${message}` : `${severity}: ${message}`;
+}
+
+/**
+ * Message of an error the way the command line tools print it
+ */
+export function formatError(error) {
+  return error instanceof BuildToolError ? error.format() : `Error: ${error.message}`;
+}
+
+/**
+ * Editor and make friendly file:line:col location of an index into text
+ */
+export function location(fileName, text, index) {
+  const lines = text.slice(0, index).split('\n');
+  return `${fileName}:${lines.length}:${lines[lines.length - 1].length + 1}`;
+}
+
+/**
+ * Location of an index into a text assembled from other files, like the result of preprocessTemplate
+ * with its sourceMap segments: file:line:col in the file the index comes from, only the file name
+ * when the position in the file is not known
+ */
+export function sourceLocation(sourceMap, index) {
+  const segment = sourceMap.find(({start, end}) => index >= start && index < end) ?? sourceMap[sourceMap.length - 1];
+  if (!segment)
+    return null;
+  if (segment.offset === null)
+    return segment.file;
+  return location(segment.file, segment.text, segment.offset + index - segment.start);
+}
+
+/**
+ * Escape a path for use as a make target or prerequisite
+ */
+export function escapeMakePath(filePath) {
+  return filePath
+    .replace(/([ \t#])/g, '\\$1')
+    .replace(/\$/g, '$$$$');
+}
+
+const htmlEntities = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;', '=': '&#61;'};
+
+/**
+ * Escape text for HTML content and attribute values, quoted or not
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"'`=]/g, c => htmlEntities[c]);
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * True when the module with the given import.meta.url is the script node was started with,
+ * following symlinks so npm bin links count too
+ */
+export function isMainModule(importMetaUrl) {
+  if (!process.argv[1])
+    return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(importMetaUrl));
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import JSON5 from 'json5';
+import * as toml from 'smol-toml';
+import { BuildToolError } from './common.js';
+
+/**
+ * Data file formats by extension. Pages hold their data as YAML (---) or TOML (+++) front matter.
+ */
+const formatExtensions = {
+  json: ['.json'],
+  json5: ['.json5', '.jsonc'],
+  yaml: ['.yaml', '.yml'],
+  toml: ['.toml'],
+  env: ['.env'],
+  'front-matter': ['.md', '.markdown', '.html', '.htm']
+};
+
+/**
+ * Format of a data file. Dotenv files like .env.production are detected by their name,
+ * files of other or no extensions (page.subst, /dev/fd/63) are read as JSON.
+ */
+function dataFormat(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  if (name === '.env' || name.startsWith('.env.'))
+    return 'env';
+  const ext = path.extname(name);
+  return Object.keys(formatExtensions).find(format => formatExtensions[format].includes(ext)) ?? 'json';
+}
+
+/**
+ * Parse dotenv text into an object of strings: KEY=value lines, optionally prefixed with export.
+ * Double quoted values support \n, \t, \" and \\ escapes, unquoted values end at a " #" comment.
+ */
+function parseEnv(text) {
+  const data = {};
+  for (const [i, line] of text.split(/\r?\n/).entries()) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#'))
+      continue;
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/.exec(trimmed);
+    if (!match)
+      throw new SyntaxError(`Expected KEY=value on line ${i + 1}: ${trimmed}`);
+    const [, key, value] = match;
+    const quoted = /^(["'])(.*)\1(?:\s+#.*)?$/.exec(value);
+    if (quoted?.[1] === '"')
+      data[key] = quoted[2].replace(/\\([nt"\\])/g, (_, c) => ({n: '\n', t: '\t'})[c] ?? c);
+    else if (quoted)
+      data[key] = quoted[2];
+    else
+      data[key] = value.replace(/\s+#.*$/, '');
+  }
+  return data;
+}
+
+/**
+ * Split a Markdown or HTML page into its front matter and body.
+ * Returns {data, body, format} with format 'yaml' for --- and 'toml' for +++ fences;
+ * a page without front matter has empty data and a null format.
+ * Throws a SyntaxError when the front matter is not an object.
+ */
+function splitFrontMatter(text, {yamlSchema = yaml.DEFAULT_SCHEMA} = {}) {
+  const match = /^\uFEFF?(---|\+\+\+)[ \t]*\r?\n([\s\S]*?)\r?\n?^\1[ \t]*(?:\r?\n|$)/m.exec(text);
+  if (!match || match.index !== 0)
+    return {data: {}, body: text, format: null};
+  const format = match[1] === '---' ? 'yaml' : 'toml';
+  const data = parseData(match[2], format, {yamlSchema}) ?? {};
+  if (typeof data !== 'object' || Array.isArray(data))
+    throw new SyntaxError(`Front matter must be an object, got ${Array.isArray(data) ? 'array' : typeof data}`);
+  return {data, body: text.slice(match[0].length), format};
+}
+
+/**
+ * Copy of value with the null prototype tables of the TOML parser as plain objects
+ */
+function plainObjects(value) {
+  if (Array.isArray(value))
+    return value.map(plainObjects);
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === null)
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plainObjects(item)]));
+  return value;
+}
+
+/**
+ * Parse text in one of the formats of formatExtensions.
+ * Syntax errors are thrown as they come from the parsers.
+ */
+function parseData(text, format, {yamlSchema = yaml.DEFAULT_SCHEMA} = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.parse(text);
+    case 'json5':
+      return JSON5.parse(text);
+    case 'yaml':
+      return yaml.load(text, {schema: yamlSchema});
+    case 'toml':
+      return plainObjects(toml.parse(text));
+    case 'env':
+      return parseEnv(text);
+    case 'front-matter':
+      return splitFrontMatter(text, {yamlSchema}).data;
+    default:
+      throw new Error(`Unknown data format: ${format}`);
+  }
+}
+
+/**
+ * Load a data file in any of the formats of formatExtensions, see dataFormat.
+ * yamlSchema is the js-yaml schema for YAML files and YAML front matter.
+ * Throws a BuildToolError located at the file when it cannot be read or parsed.
+ */
+function loadDataFile(filePath, {yamlSchema = yaml.DEFAULT_SCHEMA} = {}) {
+  const format = dataFormat(filePath);
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    const reason = {ENOENT: 'File not found', EACCES: 'Permission denied reading file'}[error.code];
+    throw new BuildToolError(reason ?? `Cannot read file: ${error.message}`, {location: filePath});
+  }
+
+  try {
+    return parseData(text, format, {yamlSchema});
+  } catch (error) {
+    if (error instanceof SyntaxError || error instanceof toml.TomlError || error.name === 'YAMLException')
+      throw new BuildToolError(`Invalid ${format === 'front-matter' ? 'front matter' : format.toUpperCase()} syntax: ${error.message}`, {location: filePath});
+    throw error;
+  }
+}
+
+export { formatExtensions, dataFormat, parseData, parseEnv, splitFrontMatter, loadDataFile };
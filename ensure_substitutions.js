@@ -1,50 +1,327 @@
 #!/usr/bin/env node
 
-import { readFileSync } from 'fs';
+import fs, { readFileSync } from 'fs';
+import path from 'path';
 import { program } from 'commander';
+import { BuildToolError, escapeRegExp, formatDiagnostic, formatError, isMainModule } from './common.js';
+import { TemplateRenderer, addDefaultDisplay } from './mustache_substitution.js';
+import { loadHelpers } from './helpers.js';
+import { mergeDeep } from './substitutions_merge.js';
+import { isIncludeName } from './mustache_file.js';
+import { loadFile } from './schema_validator.js';
 
-program
-  .arguments('<template-file> [substitution-names...]')
-  .description('Verify that a template file contains all required mustache substitutions')
-  .option('--development', 'emit warnings instead of errors for missing substitutions')
-  .parse();
-
-const args = program.args;
-const options = program.opts();
-
-if (args.length < 2) {
-  console.error('Error: Template file and at least one substitution name required');
-  console.error('Usage: ensure_substitutions.js <template-file> <substitution-name> [substitution-name...]');
-  process.exit(1);
-}
-
-const [templateFile, ...substitutionNames] = args;
-
-try {
-  const templateContent = readFileSync(templateFile, 'utf8');
-  
-  const mustachePattern = /\{\{\{?([^}]+)\}\}/g;
-  const foundSubstitutions = new Set(
-    templateContent
-      .matchAll(mustachePattern)
-      .map(match => match[1].trim())
-  );
-  
-  const requiredSubstitutions = new Set(substitutionNames);
-  const missingSubstitutions = requiredSubstitutions.difference(foundSubstitutions);
-  
-  if (missingSubstitutions.size > 0) {
-    const message = `Template ${templateFile} is missing required substitutions: ${Array.from(missingSubstitutions).join(', ')}`;
-    
-    if (options.development) {
-      console.warn(`Warn: ${message}`);
-    } else {
-      console.error(`Error: ${message}`);
+/**
+ * Every variable, section and inverted section name the template uses, with the
+ * parents of dotted names. Partials are followed when the renderer has partial directories.
+ */
+function templateNames(renderer, template, source = '<stdin>', names = new Set(), partialStack = []) {
+  const walk = tokens => {
+    for (const [type, name, , , children] of tokens) {
+      if (type === '>') {
+        const partial = renderer.resolvePartial(name);
+        if (partial && !partialStack.includes(name))
+          templateNames(renderer, partial.template, partial.filePath, names, [...partialStack, name]);
+        continue;
+      }
+      if (!['name', '&', '#', '^'].includes(type))
+        continue;
+      if (name !== '.' && !isIncludeName(name)) {
+        const parts = name.split('.');
+        for (let i = 1; i <= parts.length; i++)
+          names.add(parts.slice(0, i).join('.'));
+      }
+      if (children)
+        walk(children);
+    }
+  };
+  walk(renderer.parse(template, source));
+  return names;
+}
+
+/**
+ * Context object with an empty string for every name, dotted names nest
+ */
+function namesContext(names) {
+  const context = {};
+  for (const name of names) {
+    const parts = name.split('.');
+    let object = context;
+    for (const part of parts.slice(0, -1)) {
+      if (typeof object[part] !== 'object' || object[part] === null)
+        object[part] = {};
+      object = object[part];
+    }
+    if (!(parts[parts.length - 1] in object))
+      object[parts[parts.length - 1]] = '';
+  }
+  return context;
+}
+
+/**
+ * Required names the template does not use
+ */
+function missingSubstitutions(renderer, template, source, requiredNames) {
+  const found = templateNames(renderer, template, source);
+  return [...new Set(requiredNames)].filter(name => !found.has(name));
+}
+
+/**
+ * {location, message} diagnostics of the names the template uses that the context does not
+ * provide, resolved through sections like the strict renderer does. Helpers of the renderer count as provided.
+ * Partials are only checked when the renderer has partial directories.
+ */
+function unknownSubstitutions(renderer, template, source, context) {
+  return renderer.findUndefinedNames(template, renderer.createStrictContext(context), source)
+    .filter(({type, name}) => !isIncludeName(name) && (type !== '>' || renderer.partialDirs.length > 0))
+    .map(undefinedName => renderer.undefinedNameDiagnostic(undefinedName));
+}
+
+const manifestHelp = `
+Manifest file (.json, .yaml or .yml), globs are relative to the manifest file:
+  "templates/*.html":                 # glob: required names
+    - title
+    - body
+  "pages/**/*.mustache":              # or an object with per mode overrides
+    required: [title, nav]
+    development: {required: [title]} # used with --development
+    production: {required: [title, nav, analytics_id]}
+Globs support *, **, ? and {a,b}. A template matched by several globs needs the names of all of them.
+`;
+
+const modes = ['development', 'production'];
+
+/**
+ * Regular expression for a glob over slash separated paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    }
+    else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    }
+    else if (c === '*')
+      source += '[^/]*';
+    else if (c === '?')
+      source += '[^/]';
+    else if (c === '{') {
+      const end = glob.indexOf('}', i);
+      if (end < 0) {
+        source += '\\{';
+        continue;
+      }
+      source += '(?:' + glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|') + ')';
+      i = end;
+    }
+    else
+      source += escapeRegExp(c);
+  }
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * Files below baseDir matching glob, which is relative to baseDir
+ */
+function expandGlob(glob, baseDir = '.') {
+  const segments = glob.split('/');
+  const wildcard = segments.findIndex(segment => /[*?{]/.test(segment));
+  if (wildcard < 0) {
+    const file = path.join(baseDir, glob);
+    return fs.existsSync(file) && fs.statSync(file).isFile() ? [file] : [];
+  }
+  const staticDir = segments.slice(0, wildcard).join('/');
+  const regex = globToRegExp(segments.slice(wildcard).join('/'));
+  const root = path.join(baseDir, staticDir);
+  const files = [];
+  const walk = relative => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(root, relative), {withFileTypes: true});
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory())
+        walk(entryPath);
+      else if (entry.isFile() && regex.test(entryPath))
+        files.push(path.join(root, entryPath));
+    }
+  };
+  walk('');
+  return files.sort();
+}
+
+/**
+ * Manifest entries as [{pattern, required}], with the overrides of the mode applied
+ */
+function loadManifest(manifestPath, mode = 'production') {
+  const manifest = loadFile(manifestPath);
+  if (typeof manifest !== 'object' || manifest === null || Array.isArray(manifest))
+    throw new BuildToolError('Manifest must map template globs to required names', {location: manifestPath});
+  const isNameList = value => Array.isArray(value) && value.every(name => typeof name === 'string');
+  return Object.entries(manifest).map(([pattern, entry]) => {
+    if (isNameList(entry))
+      return {pattern, required: entry};
+    const required = entry?.[mode]?.required ?? entry?.required;
+    if (!isNameList(required))
+      throw new BuildToolError(`Expected a list of required names for ${pattern}${modes.some(m => entry?.[m]) ? ` in ${mode} mode` : ''}`, {location: manifestPath});
+    return {pattern, required};
+  });
+}
+
+/**
+ * Check every template matched by the manifest.
+ * Returns {results: [{template, missing, error}], unmatched: [pattern]} with a result for every
+ * template, error is the BuildToolError of a template that could not be read or parsed.
+ */
+function checkManifest(manifestPath, renderer, {development = false} = {}) {
+  const baseDir = path.dirname(manifestPath);
+  const requiredByTemplate = new Map();
+  const unmatched = [];
+  for (const {pattern, required} of loadManifest(manifestPath, development ? 'development' : 'production')) {
+    const templates = expandGlob(pattern, baseDir);
+    if (templates.length === 0)
+      unmatched.push(pattern);
+    for (const template of templates)
+      requiredByTemplate.set(template, [...(requiredByTemplate.get(template) ?? []), ...required]);
+  }
+  const results = [...requiredByTemplate].map(([template, required]) => {
+    let content;
+    try {
+      content = readFileSync(template, 'utf8');
+    } catch (error) {
+      return {template, missing: [], error: new BuildToolError(`Could not read template file: ${error.message}`, {location: template})};
+    }
+    try {
+      return {template, missing: missingSubstitutions(renderer, content, template, required), error: null};
+    } catch (error) {
+      if (!(error instanceof BuildToolError))
+        throw error;
+      return {template, missing: [], error};
+    }
+  });
+  return {results, unmatched};
+}
+
+/**
+ * Print the manifest report and exit with an error when a template misses substitutions
+ */
+function runManifest(manifestPath, renderer, options) {
+  const severity = options.development ? 'Warning' : 'Error';
+  let report;
+  try {
+    report = checkManifest(manifestPath, renderer, options);
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+  const {results, unmatched} = report;
+  for (const pattern of unmatched)
+    console.error(formatDiagnostic('Warning', {location: manifestPath, message: `No templates match: ${pattern}`}));
+  const failed = results.filter(({missing}) => missing.length > 0);
+  const broken = results.filter(({error}) => error);
+  for (const {error} of broken)
+    console.error(error.format());
+  for (const {template, missing} of failed)
+    console.error(formatDiagnostic(severity, {location: template, message: `Template is missing required substitutions: ${missing.join(', ')}`}));
+  console.error(`Checked ${results.length} templates, ${failed.length} with missing substitutions` +
+                (broken.length > 0 ? `, ${broken.length} could not be checked` : ''));
+  if (broken.length > 0 || (failed.length > 0 && !options.development))
+    process.exit(1);
+}
+
+async function main() {
+  program
+    .arguments('[template-file] [substitution-names...]')
+    .description('Verify that a template file contains all required mustache substitutions, or with --reverse that it uses no others')
+    .option('--development', 'emit warnings instead of errors for missing substitutions')
+    .option('--start-delimiter <delimiter>', 'custom start delimiter', '{{')
+    .option('--end-delimiter <delimiter>', 'custom end delimiter', '}}')
+    .option('--partials <dir>', 'directory of partials followed through {{> name}} (repeatable)', (dir, dirs) => [...dirs, dir], [])
+    .option('--reverse', 'report the names used by the template that are not among the substitution names or --substitutions')
+    .option('--substitutions <file>', 'JSON/YAML substitutions file providing the known names of --reverse, implies --reverse')
+    .option('--manifest <file>', 'check every template of a manifest mapping template globs to required names in one run')
+    .option('--helpers <module>', 'ES module of project helpers for --reverse, as given to mustache_substitution.js')
+    .addHelpText('after', manifestHelp)
+    .parse();
+
+  const args = program.args;
+  const options = program.opts();
+  const reverse = options.reverse || options.substitutions;
+
+  let helpers = {};
+  try {
+    helpers = options.helpers ? await loadHelpers(options.helpers) : {};
+  } catch (error) {
+    console.error(error.format());
+    process.exit(1);
+  }
+
+  if (options.manifest) {
+    if (args.length > 0 || reverse) {
+      console.error('Error: --manifest cannot be combined with a template file, substitution names or --reverse');
       process.exit(1);
     }
+    const renderer = new TemplateRenderer(options.startDelimiter, options.endDelimiter, options.development, options.partials, helpers);
+    return runManifest(options.manifest, renderer, options);
   }
-  
-} catch (error) {
-  console.error(`Error reading template file ${templateFile}: ${error.message}`);
-  process.exit(1);
+
+  if (args.length < (reverse ? 1 : 2)) {
+    console.error('Error: Template file and at least one substitution name required');
+    console.error('Usage: ensure_substitutions.js <template-file> <substitution-name> [substitution-name...]');
+    console.error('       ensure_substitutions.js --reverse [--substitutions <file>] <template-file> [substitution-name...]');
+    console.error('       ensure_substitutions.js --manifest <file>');
+    process.exit(1);
+  }
+
+  const [templateFile, ...substitutionNames] = args;
+  const severity = options.development ? 'Warning' : 'Error';
+  const renderer = new TemplateRenderer(options.startDelimiter, options.endDelimiter, options.development, options.partials, helpers);
+
+  let templateContent;
+  try {
+    templateContent = readFileSync(templateFile, 'utf8');
+  } catch (error) {
+    console.error(formatDiagnostic('Error', {location: templateFile, message: `Could not read template file: ${error.message}`}));
+    process.exit(1);
+  }
+
+  let diagnostics;
+  try {
+    if (reverse) {
+      let context = namesContext(substitutionNames);
+      if (options.substitutions)
+        context = mergeDeep(context, addDefaultDisplay(loadFile(options.substitutions)));
+      diagnostics = unknownSubstitutions(renderer, templateContent, templateFile, context);
+    }
+    else {
+      const missing = missingSubstitutions(renderer, templateContent, templateFile, substitutionNames);
+      // Missing names have no tag to point at, so only the template file is given as the location
+      diagnostics = missing.length > 0
+        ? [{location: templateFile, message: `Template is missing required substitutions: ${missing.join(', ')}`}]
+        : [];
+    }
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+
+  for (const diagnostic of diagnostics)
+    console.error(formatDiagnostic(severity, diagnostic));
+  if (diagnostics.length > 0 && !options.development)
+    process.exit(1);
 }
+
+export { templateNames, missingSubstitutions, unknownSubstitutions, loadManifest, checkManifest };
+
+if (isMainModule(import.meta.url))
+  main().catch(error => {
+    console.error(formatError(error));
+    process.exit(1);
+  });
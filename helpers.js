@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BuildToolError, TemplateError, escapeHtml } from './common.js';
+import { headingId, renderMarkdown } from './markdown.js';
+
+const helpersHelp = `
+Helpers are Mustache sections that transform their content:
+  {{#json}}{{page_meta}}{{/json}}              JSON, safe inside <script>
+  {{#url_encode}}{{query}}{{/url_encode}}      URL query string component
+  {{#attr}}{{title}}{{/attr}}                  HTML attribute value, quotes escaped too
+  {{#upper}}..{{/upper}}, {{#lower}}..{{/lower}}
+  {{#slugify}}{{title}}{{/slugify}}            lower case URL fragment like the heading ids
+  {{#date}}{{published}}{{/date}}              2024-05-01, also date.datetime (ISO 8601), date.rfc822
+                                               and date.short, date.medium, date.long, date.full
+  {{#markdown}}{{summary}}{{/markdown}}        Markdown rendered to HTML
+A section holding a single variable gets its value as is, like the object for json; other
+content is rendered without HTML escaping first. The helpers escape their own output.
+Helpers are only sections, and only for names the context does not have: with a date value
+in the context {{#date}} is a plain section again. {{date}}, {{&date}} and {{^date}} always
+look date up in the context like any other name.
+
+--helpers <module.js> adds or overrides helpers with the functions the module exports (default
+export object or named exports). A helper is called as helper(value, {render, lookup}) with the
+section value, a function rendering a template string and one looking names up in the context,
+and returns the text to insert as is. Function properties of a helper are helpers too (date.long).
+`;
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value == null || isNaN(date))
+    throw new TemplateError(`date helper got an invalid date: ${value}`);
+  return date;
+}
+
+function intlDate(dateStyle) {
+  return value => new Intl.DateTimeFormat('en-US', {dateStyle, timeZone: 'UTC'}).format(toDate(value));
+}
+
+const date = value => toDate(value).toISOString().slice(0, 10);
+Object.assign(date, {
+  datetime: value => toDate(value).toISOString(),
+  rfc822: value => toDate(value).toUTCString(),
+  short: intlDate('short'),
+  medium: intlDate('medium'),
+  long: intlDate('long'),
+  full: intlDate('full')
+});
+
+const text = value => value == null ? '' : String(value);
+
+/**
+ * Helpers every TemplateRenderer has, see helpersHelp
+ */
+const builtinHelpers = {
+  json: value => JSON.stringify(value === undefined ? null : value)
+    .replace(/[<>&\u2028\u2029]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`),
+  url_encode: value => encodeURIComponent(text(value)).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`),
+  attr: value => escapeHtml(text(value)),
+  upper: value => escapeHtml(text(value).toUpperCase()),
+  lower: value => escapeHtml(text(value).toLowerCase()),
+  slugify: value => headingId(text(value), new Set()),
+  date,
+  markdown: value => renderMarkdown(text(value)).html
+};
+
+/**
+ * Helper function of a section name, dotted names are function properties like date.long.
+ * Returns null when the name is not a helper.
+ */
+function findHelper(helpers, name) {
+  let helper = helpers;
+  for (const part of name.split('.')) {
+    helper = Object.hasOwn(helper, part) ? helper[part] : null;
+    if (typeof helper !== 'function')
+      return null;
+  }
+  return helper;
+}
+
+function callHelper(helper, input, options) {
+  const result = helper(input, options);
+  return result == null ? '' : String(result);
+}
+
+/**
+ * Helpers exported by a module, its default export object or its named exports.
+ * The module is imported again once it is modified, for --watch.
+ */
+async function loadHelpers(modulePath) {
+  let module;
+  try {
+    const url = pathToFileURL(path.resolve(modulePath));
+    url.searchParams.set('v', fs.statSync(url).mtimeMs);
+    module = await import(url.href);
+  } catch (error) {
+    throw new BuildToolError(`Could not load helpers: ${error.message}`, {location: modulePath});
+  }
+  const helpers = typeof module.default === 'object' && module.default !== null
+    ? module.default
+    : Object.fromEntries(Object.entries(module).filter(([name]) => name !== 'default'));
+  for (const [name, helper] of Object.entries(helpers))
+    if (typeof helper !== 'function')
+      throw new BuildToolError(`Helper ${name} must be a function, got ${typeof helper}`, {location: modulePath});
+  return helpers;
+}
+
+export { helpersHelp, builtinHelpers, findHelper, callHelper, loadHelpers };
@@ -0,0 +1,32 @@
+/**
+ * Library entry point. The functions behind every command line tool, usable in-process.
+ * They throw the error classes below instead of exiting.
+ */
+
+export { TemplateRenderer, StrictContext, addDefaultDisplay } from './mustache_substitution.js';
+export { builtinHelpers, loadHelpers } from './helpers.js';
+export { preprocessTemplate, formatDependencies } from './mustache_file.js';
+export { renderMarkdown, formatToc } from './markdown.js';
+export { mergeDeep, mergeFiles, loadSubstitutionFile, resolveReferences } from './substitutions_merge.js';
+export { findNexts, findPrevious, nextPageContext, navigationContext } from './next_page_resolver.js';
+export { extractPages, extractPageEntries, formatPages, markdownUrlExtensions } from './list_pages.js';
+export { templateNames, missingSubstitutions, unknownSubstitutions, loadManifest, checkManifest } from './ensure_substitutions.js';
+export { lintNavigation } from './nav_lint.js';
+export { navigationMenu } from './nav_menu.js';
+export { siteEntries, formatSitemap, formatAtomFeed, formatRssFeed } from './sitemap.js';
+export { validateSchema, schemaDiagnostic, loadFile } from './schema_validator.js';
+export { inferSchema } from './schema_infer.js';
+export { loadDataFile, parseData, splitFrontMatter, dataFormat } from './data_formats.js';
+export { loadBuildConfig, loadNavigation, listBuildPages, buildPage, buildSite, watchSite, createRenderer } from './build.js';
+export { watchFiles } from './watch.js';
+export { serveSite } from './serve.js';
+export {
+  BuildToolError,
+  TemplateError,
+  IncludeError,
+  NavigationError,
+  MergeError,
+  SchemaValidationError,
+  formatDiagnostic,
+  formatError
+} from './common.js';
@@ -4,30 +4,164 @@ import { readFileSync } from 'fs';
 import jsyaml from 'js-yaml';
 import { program } from 'commander';
 import path from 'path';
+import { BuildToolError, NavigationError, escapeMakePath, isMainModule } from './common.js';
 
-program
-  .requiredOption('--navigation <file>', 'Navigation YAML file')
-  .requiredOption('--root-path <path>', 'The directory to prefix the file paths with')
-  .option('--shared <name>', 'Name of sharded track directory', 'shared')
-  .parse();
-const options = program.opts();
+/**
+ * Page entries are file name strings or {file, title, draft, tags, ...} objects,
+ * any other object is a {track: [...]} of nested entries
+ */
+function isPageEntry(item) {
+  return typeof item === 'string'
+    || (typeof item === 'object' && item !== null && !Array.isArray(item) && typeof item.file === 'string');
+}
+
+function pageFile(item) {
+  return typeof item === 'string' ? item : item.file;
+}
+
+/**
+ * Markdown pages are written and linked as .html files by build.js
+ */
+const markdownUrlExtensions = {'.md': '.html', '.markdown': '.html'};
+
+/**
+ * Page path with its extension replaced when urlExtensions maps it, like markdownUrlExtensions
+ */
+function mapExtension(page, urlExtensions) {
+  const extension = path.extname(page);
+  const mapped = urlExtensions[extension.toLowerCase()];
+  return mapped === undefined ? page : page.slice(0, -extension.length) + mapped;
+}
 
-function extractPages(items, trackPath = '') {
+/**
+ * Metadata of a page entry, everything but its file name
+ */
+function pageMetadata(item) {
+  if (typeof item === 'string')
+    return {};
+  const {file, ...metadata} = item;
+  return metadata;
+}
+
+/**
+ * Navigation without the draft page entries
+ */
+function removeDrafts(items) {
+  if (Array.isArray(items))
+    return items.filter(item => !(isPageEntry(item) && item.draft)).map(removeDrafts);
+  if (typeof items === 'object' && items !== null && !isPageEntry(items))
+    return Object.fromEntries(Object.entries(items).map(([k, v]) => [k, removeDrafts(v)]));
+  return items;
+}
+
+/**
+ * Flat list of {page, entry} in navigation order, page is the file path and entry the navigation entry.
+ * Pages outside of any track are placed in the shared track directory.
+ * Draft pages are only listed in development.
+ */
+function extractPageEntries(items, {rootPath = '', shared = 'shared', development = false} = {}, trackPath = '') {
+  if (!Array.isArray(items))
+    throw new NavigationError(`Expected a list of pages in ${trackPath || 'navigation'}, got: ${JSON.stringify(items)}`);
+  const pages = [];
   for (const item of items) {
-    if (typeof item === 'string')
-      console.log(path.join(options.rootPath, trackPath || options.shared, item));
-    else if (typeof item === 'object')
+    if (isPageEntry(item)) {
+      if (development || !item.draft)
+        pages.push({page: path.join(rootPath, trackPath || shared, pageFile(item)), entry: item});
+    }
+    else if (typeof item === 'object' && item !== null)
       for (const [trackName, trackItems] of Object.entries(item))
-        extractPages(trackItems, path.join(trackPath, trackName));
+        pages.push(...extractPageEntries(trackItems, {rootPath, shared, development}, path.join(trackPath, trackName)));
     else
-      throw new Error(`Could not process: ${JSON.stringify(item)}`);
+      throw new NavigationError(`Could not process: ${JSON.stringify(item)}`);
+  }
+  return pages;
+}
+
+/**
+ * Flat list of page file paths in navigation order, see extractPageEntries
+ */
+function extractPages(items, options = {}) {
+  return extractPageEntries(items, options).map(({page}) => page);
+}
+
+const formats = ['lines', 'json', 'nul', 'make'];
+
+/**
+ * Output path of a page path relative to the root path, with its extension replaced when given,
+ * else Markdown pages get the .html extension build.js writes them with
+ */
+function outputPath(page, outDir, extension = null) {
+  const output = path.join(outDir, page);
+  if (extension === null)
+    return mapExtension(output, markdownUrlExtensions);
+  const parsed = path.parse(output);
+  return path.join(parsed.dir, parsed.name + (extension && !extension.startsWith('.') ? '.' + extension : extension));
+}
+
+/**
+ * GNU Make fragment defining <variable> with the page sources, <variable>_OUTPUTS with their
+ * output paths and a prerequisite rule from every output to its source.
+ * pages are relative to rootPath.
+ */
+function formatMakefile(pages, {rootPath = '', outDir, extension = null, variable = 'PAGES'}) {
+  const sources = pages.map(page => escapeMakePath(path.join(rootPath, page)));
+  const outputs = pages.map(page => escapeMakePath(outputPath(page, outDir, extension)));
+  const list = paths => paths.map(p => ' \\\n  ' + p).join('');
+  return [
+    `${variable} :=${list(sources)}`,
+    '',
+    `${variable}_OUTPUTS :=${list(outputs)}`,
+    '',
+    ...outputs.map((output, i) => `${output}: ${sources[i]}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Page list in one of the formats: lines, json, nul or make
+ */
+function formatPages(pages, format, options = {}) {
+  const rootPath = options.rootPath ?? '';
+  switch (format) {
+    case 'lines':
+      return pages.map(page => path.join(rootPath, page) + '\n').join('');
+    case 'json':
+      return JSON.stringify(pages.map(page => path.join(rootPath, page)), null, 2) + '\n';
+    case 'nul':
+      return pages.map(page => path.join(rootPath, page) + '\0').join('');
+    case 'make':
+      if (!options.outDir)
+        throw new BuildToolError('The make format needs --out-dir');
+      return formatMakefile(pages, options);
+    default:
+      throw new BuildToolError(`--format must be one of ${formats.join(', ')}, got: ${format}`);
   }
 }
 
-try {
-  const navigation = jsyaml.load(readFileSync(options.navigation, 'utf8'));
-  extractPages(navigation);
-} catch (error) {
-  console.error(`Error processing navigation file: ${error.message}`);
-  process.exit(1);
+function main() {
+  program
+    .requiredOption('--navigation <file>', 'Navigation YAML file')
+    .requiredOption('--root-path <path>', 'The directory to prefix the file paths with')
+    .option('--shared <name>', 'Name of sharded track directory', 'shared')
+    .option('--development', 'Also list the pages marked draft: true', false)
+    .option('--format <format>', `output format: lines (one path per line), json (array of paths), nul (NUL terminated paths, for xargs -0) or make (Makefile fragment)`, 'lines')
+    .option('--out-dir <dir>', 'make format: directory the output paths are placed in as <out-dir>/<track>/<page>')
+    .option('--extension <ext>', 'make format: replace the extension of the output paths, an empty string removes it (default: .html for Markdown pages)')
+    .option('--variable <name>', 'make format: variable holding the sources, <name>_OUTPUTS holds the outputs', 'PAGES')
+    .parse();
+  const options = program.opts();
+
+  try {
+    const navigation = jsyaml.load(readFileSync(options.navigation, 'utf8'));
+    const pages = extractPages(navigation, {...options, rootPath: ''});
+    process.stdout.write(formatPages(pages, options.format, options));
+  } catch (error) {
+    console.error(`Error processing navigation file: ${error.message}`);
+    process.exit(1);
+  }
 }
+
+export { formatPages, extractPages, extractPageEntries, isPageEntry, pageFile, pageMetadata, removeDrafts, markdownUrlExtensions, mapExtension };
+
+if (isMainModule(import.meta.url))
+  main();
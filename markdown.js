@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { InvalidArgumentError, program } from 'commander';
+import { Marked } from 'marked';
+import { BuildToolError, escapeHtml, escapeRegExp, formatError, isMainModule } from './common.js';
+import { splitFrontMatter } from './data_formats.js';
+
+const contextHelp = `
+Context written by --context, for the --substitutions of mustache_substitution.js:
+  the front matter keys of the page
+  toc       headings up to --toc-depth as nested {level, text, id, url, children} items
+  toc_html  the same headings as nested <ul class="toc"> lists, empty without headings
+
+Every heading gets an id from its text (lower case, dashes for spaces, -1, -2 for repeats),
+so #id links and the table of contents point at it.
+
+Mustache tags are kept as written for mustache_substitution.js. Section, partial and comment
+tags on a line of their own get no paragraph around them, so a section can span paragraphs
+and lists; a list or quote needs a blank line before the closing tag that follows it.
+`;
+
+const markdownExtensions = ['.md', '.markdown'];
+
+function isMarkdownFile(file) {
+  return markdownExtensions.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * URL fragment of a heading text, unique within slugs, which it is added to
+ */
+function headingId(text, slugs) {
+  const base = text.toLowerCase().trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-') || 'section';
+  let id = base;
+  for (let i = 1; slugs.has(id); i++)
+    id = `${base}-${i}`;
+  slugs.add(id);
+  return id;
+}
+
+/**
+ * Inline tokens without their raw HTML tags, for the plain text of a heading
+ */
+function withoutHtml(tokens) {
+  return tokens
+    .filter(token => token.type !== 'html')
+    .map(token => token.tokens ? {...token, tokens: withoutHtml(token.tokens)} : token);
+}
+
+/**
+ * Marked extensions that pass Mustache tags through as written, for the Mustache pass after
+ * the Markdown one: tags within text, and section, partial and comment tags on a line of their
+ * own without a paragraph around them, so sections can span Markdown blocks
+ */
+function mustacheExtensions([startDelimiter, endDelimiter]) {
+  const start = escapeRegExp(startDelimiter);
+  const end = escapeRegExp(endDelimiter);
+  const blockStart = new RegExp(`^ {0,3}${start}[#^/>!]`, 'm');
+  const blockTag = new RegExp(`^ {0,3}${start}[#^/>!][^\\n]*?${end}[ \\t]*(?:\\n+|$)`);
+  const inlineTag = new RegExp(`^${start}[\\s\\S]*?${end}`);
+  return [
+    {
+      name: 'mustacheBlock',
+      level: 'block',
+      start: src => src.match(blockStart)?.index,
+      tokenizer(src) {
+        const match = blockTag.exec(src);
+        if (match)
+          return {type: 'mustacheBlock', raw: match[0], text: match[0].trim()};
+      },
+      renderer: token => token.text + '\n'
+    },
+    {
+      name: 'mustache',
+      level: 'inline',
+      start: src => src.indexOf(startDelimiter),
+      tokenizer(src) {
+        const match = inlineTag.exec(src);
+        if (match)
+          return {type: 'mustache', raw: match[0]};
+      },
+      renderer: token => token.raw
+    }
+  ];
+}
+
+/**
+ * Nest a flat list of headings below the closest earlier heading of a lower level
+ */
+function nestHeadings(headings) {
+  const root = [];
+  const stack = [];
+  for (const heading of headings) {
+    const item = {...heading, children: []};
+    while (stack.length > 0 && stack[stack.length - 1].level >= item.level)
+      stack.pop();
+    (stack.length > 0 ? stack[stack.length - 1].children : root).push(item);
+    stack.push(item);
+  }
+  return root;
+}
+
+/**
+ * Table of contents items as nested HTML lists, the outer one with class toc
+ */
+function formatToc(toc, nested = false) {
+  if (toc.length === 0)
+    return '';
+  const items = toc.map(({text, url, children}) =>
+    `<li><a href="${escapeHtml(url)}">${escapeHtml(text)}</a>${formatToc(children, true)}</li>`);
+  return `<ul${nested ? '' : ' class="toc"'}>${items.join('')}</ul>`;
+}
+
+/**
+ * Render a Markdown page to HTML.
+ * Returns {html, data, toc}: data is the YAML or TOML front matter, toc the nested headings
+ * of levels up to tocDepth. Heading ids are unique within slugs, share it between the
+ * Markdown parts of one page. Mustache tags with the tags delimiters are kept as written,
+ * see mustacheExtensions.
+ * Throws a BuildToolError located at source when the front matter is invalid.
+ */
+function renderMarkdown(text, {source = null, tocDepth = 3, slugs = new Set(), tags = ['{{', '}}']} = {}) {
+  let page;
+  try {
+    page = splitFrontMatter(text);
+  } catch (error) {
+    throw new BuildToolError(`Invalid front matter: ${error.message}`, {location: source});
+  }
+
+  const headings = [];
+  const marked = new Marked({
+    extensions: mustacheExtensions(tags),
+    renderer: {
+      heading({tokens, depth}) {
+        const text = this.parser.parseInline(withoutHtml(tokens), this.parser.textRenderer);
+        const id = headingId(text, slugs);
+        if (depth <= tocDepth)
+          headings.push({level: depth, text, id, url: `#${id}`});
+        return `<h${depth} id="${escapeHtml(id)}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+      }
+    }
+  });
+  const html = marked.parse(page.body, {async: false});
+  return {html, data: page.data, toc: nestHeadings(headings)};
+}
+
+function main() {
+  program
+    .name('md-render')
+    .description('Render a Markdown page with front matter to an HTML fragment, with heading ids and a table of contents')
+    .argument('<file>', 'Markdown file')
+    .option('--output <file>', 'write the HTML to file instead of stdout')
+    .option('--context <file>', 'write the front matter, toc and toc_html as JSON to file')
+    .option('--toc-depth <n>', 'deepest heading level in the table of contents', x => {
+      const depth = Number(x);
+      if (!Number.isInteger(depth) || depth < 1 || depth > 6)
+        throw new InvalidArgumentError('Must be a whole number from 1 to 6.');
+      return depth;
+    }, 3)
+    .addHelpText('after', contextHelp)
+    .parse();
+  const options = program.opts();
+  const [file] = program.args;
+
+  try {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new BuildToolError(`Could not read Markdown file: ${error.message}`, {location: file});
+    }
+    const {html, data, toc} = renderMarkdown(text, {source: file, tocDepth: options.tocDepth});
+    if (options.context)
+      fs.writeFileSync(options.context, JSON.stringify({...data, toc, toc_html: formatToc(toc)}, null, 2) + '\n', 'utf8');
+    if (options.output)
+      fs.writeFileSync(options.output, html, 'utf8');
+    else
+      process.stdout.write(html);
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+}
+
+export { renderMarkdown, formatToc, headingId, isMarkdownFile };
+
+if (isMainModule(import.meta.url))
+  main();
@@ -2,12 +2,19 @@
 
 import fs from 'fs';
 import path from 'path';
+import { BuildToolError, IncludeError, escapeMakePath, formatDiagnostic, formatError, isMainModule, location } from './common.js';
+import { watchFiles } from './watch.js';
+import { renderMarkdown, formatToc } from './markdown.js';
+import { splitFrontMatter } from './data_formats.js';
 
-const fileReplaceRegex = /\{\{\{file:([^}]*)\}\}\}/g;
-const doubleFileRegex = /\{\{file:([^}]*)\}\}/g;
+const fileReplaceRegex = /\{\{\{(file|markdown):([^}]*)\}\}\}/g;
+const includeNameRegex = /^(?:file|markdown):/;
+const doubleFileRegex = /(?<!\{)\{\{(?:file|markdown):([^}]*)\}\}(?!\})/g;
 const cliNamePattern = "([a-zA-Z_][a-zA-Z0-9_]*)";
 const templateVariableNameRegex = new RegExp("\\$" + cliNamePattern, "g");
 const cliPathAssignmentRegex = new RegExp("^" + cliNamePattern + "=(.+)$")
+const defaultMaxDepth = 10;
+const htmlExtensions = ['.html', '.htm'];
 
 const help =
 `Usage:
@@ -18,6 +25,18 @@ Options:
   --root <path>          Root path to prepend to file paths (default: current directory)
   --stdin-path <path>    Map stdin to a virtual file path. Requires an input-file argument
   --development          Show warnings instead of errors for double braces
+  --output <file>        Write the output to a file instead of stdout
+  --context <file>       Write the front matter of the included Markdown and HTML pages with the
+                         table of contents (toc and toc_html) of the Markdown ones as JSON, for
+                         the --substitutions of mustache_substitution.js
+  --watch                Process again whenever the input file or an included file changes
+                         (requires an input-file and --output, cannot be used with --stdin-path)
+  --max-depth <n>        Maximum nesting depth of included files (default: ${defaultMaxDepth})
+                         1 only allows includes in the input template itself
+  --deps, -MD <file>     Write a GNU Make dependency file listing every included file
+  --deps-target, -MT <target>
+                         Target name used in the dependency file
+                         (default: --output, else the --deps path without its .d extension)
   -h, --help             Show this help message
 
 Arguments:
@@ -29,23 +48,41 @@ Arguments:
 Description:
   Reads template from input file or stdin and writes processed output to stdout.
   Replaces {{{file:filename}}} with the contents of the specified file.
+  Included files are processed recursively: their own {{{file:...}}} placeholders
+  are replaced too, with relative paths resolved against the including file's
+  directory. An include cycle (a.html -> b.html -> a.html) is an error.
   Supports path variables using $variable syntax in templates.
   If filename is an absolute path, it will be used as-is without prepending root path.
   
+  {{{markdown:filename}}} includes a Markdown file rendered to HTML instead: its YAML or
+  TOML front matter is left out of the output (see --context) and its headings get ids.
+  Mustache tags in it are kept as written; section and partial tags on a line of their own
+  get no paragraph around them, but need a blank line after a list or quote they follow.
+  Files included with {{{file:...}}} are never rendered, whatever their extension, but the
+  front matter at the top of the input file and included .html and .htm pages is left out of
+  the output too.
+
   IMPORTANT: Only triple braces {{{file:...}}} are supported for raw content injection.
   Double braces {{file:...}} will cause an error (or warning in development mode).
 
+  With --deps, a Make rule "<target>: <input-file> <included files...>" is written
+  after path variable expansion and --root joining, followed by an empty rule for
+  every included file (like gcc -MD -MP) so deleted includes do not break make.
+  Use it in a Makefile with: -include $(wildcard build/*.d)
+
 Examples:
   cat template.html | mustache_file.js > output.html
   mustache_file.js template.html > output.html
   mustache_file.js templates=../templates build=./dist template.html > output.html
   mustache_file.js --root ./assets components=./src template.html > output.html
+  mustache_file.js --deps build/page.html.d template.html > build/page.html
 
 Template syntax:
   {{{file:$templates/header.html}}}    - Uses templates path variable + relative path
   {{{file:$exact_file}}}               - Uses exact_file path variable as complete path
   {{{file:relative/path.css}}}         - Regular relative path
   {{{file:/absolute/path.js}}}         - Absolute path (ignores root)
+  {{{markdown:$content/story.md}}}     - Markdown rendered to HTML, same path rules
 `;
 
 function parseArgs() {
@@ -62,7 +99,13 @@ function parseArgs() {
     stdinPath: null,
     production: true,
     inputFile: null,
-    pathVariables: {}
+    pathVariables: {},
+    outputFile: null,
+    contextFile: null,
+    watch: false,
+    depsFile: null,
+    depsTarget: null,
+    maxDepth: defaultMaxDepth
   };
   let i = 0;
   function error(msg) {
@@ -78,7 +121,7 @@ function parseArgs() {
     return value;
   }
   // options
-  for (; i < args.length && args[i].startsWith('--'); i++) {
+  for (; i < args.length && (args[i].startsWith('--') || args[i].startsWith('-M')); i++) {
     switch (args[i]) {
       case '--root':
         config.rootPath = getOptionValue();
@@ -91,6 +134,28 @@ function parseArgs() {
       case '--development':
         config.production = false;
         break;
+      case '--output':
+        config.outputFile = getOptionValue();
+        break;
+      case '--context':
+        config.contextFile = getOptionValue();
+        break;
+      case '--watch':
+        config.watch = true;
+        break;
+      case '--max-depth':
+        config.maxDepth = Number(getOptionValue());
+        if (!Number.isInteger(config.maxDepth) || config.maxDepth < 1)
+          error(`--max-depth must be a positive integer: ${args[i]}`);
+        break;
+      case '--deps':
+      case '-MD':
+        config.depsFile = getOptionValue();
+        break;
+      case '--deps-target':
+      case '-MT':
+        config.depsTarget = getOptionValue();
+        break;
       default:
         error(`Unknown option: ${args[i]}`);
         break;
@@ -128,64 +193,230 @@ function parseArgs() {
   if (i < args.length)
     error('Unknown arguments: ' + args.slice(i).join(' '));
 
+  if (config.watch && (!config.inputFile || !config.outputFile || config.stdinPath))
+    error('--watch requires an input-file and --output, and cannot be used with --stdin-path');
+  if (config.depsTarget && !config.depsFile)
+    error('--deps-target requires --deps');
+  if (config.depsFile && !config.depsTarget) {
+    if (config.outputFile)
+      config.depsTarget = config.outputFile;
+    else if (path.extname(config.depsFile) !== '.d')
+      error('--deps-target or --output must be given if the --deps file does not end with .d');
+    else
+      config.depsTarget = config.depsFile.slice(0, -'.d'.length);
+  }
+
   return config;
 }
 
-function checkForDoubleFileBraces(template, development) {
-  const doubleMatches = [...template.matchAll(doubleFileRegex)];
-  if (doubleMatches.length > 0) {
-    const message = `Found unsupported double brace file syntax. Use {{{file:...}}} instead of {{file:...}}: ${doubleMatches.map(m => m[0]).join(', ')}`;
-    
-    if (development) {
-      console.warn('Warning:', message);
-    } else {
-      console.error('Error:', message);
-      process.exit(1);
-    }
-  }
+/**
+ * True for the name of a {{{file:...}}} or {{{markdown:...}}} placeholder as Mustache parses it
+ */
+function isIncludeName(name) {
+  return includeNameRegex.test(name);
 }
 
-let exitOnError = true;
-function preprocessTemplate(template, rootPath, pathVariables, stdinPath, stdinData) {
-  function error(...messages) {
-    console.error(messages.join("\n"));
-    if (exitOnError)
-      process.exit(1);
+function isHtmlFile(file) {
+  return htmlExtensions.includes(path.extname(file).toLowerCase());
+}
+
+function checkForDoubleFileBraces(text, locate, report) {
+  for (const match of text.matchAll(doubleFileRegex))
+    report(`Found unsupported double brace file syntax. Use triple braces like {{{file:...}}} instead of: ${match[0]}`,
+           locate(match.index));
+}
+
+/**
+ * Replace {{{file:path}}} placeholders with file contents, recursively.
+ *
+ * Options:
+ *   rootPath       directory top level relative paths are joined to (default: '.')
+ *   pathVariables  {name: path} values for $name in paths
+ *   stdinPath      virtual path whose placeholder is replaced with stdinData
+ *   stdinData      content for stdinPath
+ *   dependencies   Set that every included file path is added to
+ *   templatePath   file name of template used in diagnostics and cycle detection
+ *   maxDepth       maximum include nesting depth
+ *   development    warn on stderr and leave the placeholder instead of throwing IncludeError
+ *   frontMatter    object the front matter of markdown and .html includes is assigned to
+ *   toc            array the table of contents items of markdown includes are added to
+ *   headingIds     Set of the heading ids used so far, keeps the ids of markdown includes unique
+ *   markdownFiles  Set of resolved paths rendered like {{{markdown:path}}} when included with file:
+ *   mustacheTags   [start, end] delimiters of the Mustache tags markdown includes keep as written
+ *   sourceMap      array the {start, end, file, text, offset} segments of the result are added to:
+ *                  result.slice(start, end) comes from index offset of the text of file, offset is
+ *                  null for rendered Markdown. See sourceLocation of common.js.
+ * The template itself is a page like the includes when templatePath is given: rendered when it is
+ * in markdownFiles, without its front matter when it is an .html page.
+ */
+function preprocessTemplate(template, {
+  rootPath = '.',
+  pathVariables = {},
+  stdinPath = null,
+  stdinData = null,
+  dependencies = new Set(),
+  templatePath = null,
+  maxDepth = defaultMaxDepth,
+  development = false,
+  frontMatter = {},
+  toc = [],
+  headingIds = new Set(),
+  markdownFiles = new Set(),
+  mustacheTags = ['{{', '}}'],
+  sourceMap = []
+} = {}) {
+  function error(message, at = null) {
+    if (!development)
+      throw new IncludeError(message, {location: at});
+    console.warn(formatDiagnostic('Warning', {location: at, message}));
+  }
+  function showChain(chain) {
+    return chain.map(link => link.name).join(' -> ');
   }
   let stdinPathNotFound = true;
-  const result = template.replace(fileReplaceRegex, (match, filePath) => {
+  const stdinResolved = stdinPath && path.resolve(rootPath, stdinPath);
+
+  /**
+   * Content of a page as it is included: Markdown rendered to HTML, the front matter of HTML
+   * pages left out. Returns {content, offset} with the index of content in the page text, a null
+   * offset when content is not part of the text, or null after reporting an error at at.
+   */
+  function pageContent(text, filePath, markdown, at) {
+    if (markdown) {
+      let rendered;
+      try {
+        rendered = renderMarkdown(text, {source: filePath, slugs: headingIds, tags: mustacheTags});
+      } catch (e) {
+        if (!(e instanceof BuildToolError))
+          throw e;
+        error(`${e.message} in ${filePath}`, at);
+        return null;
+      }
+      Object.assign(frontMatter, rendered.data);
+      toc.push(...rendered.toc);
+      return {content: rendered.html, offset: null};
+    }
+    if (isHtmlFile(filePath)) {
+      let page;
+      try {
+        page = splitFrontMatter(text);
+      } catch (e) {
+        error(`Invalid front matter: ${e.message} in ${filePath}`, at);
+        return null;
+      }
+      Object.assign(frontMatter, page.data);
+      return {content: page.body, offset: text.length - page.body.length};
+    }
+    return {content: text, offset: 0};
+  }
+
+  /**
+   * Included text of a placeholder match, as {text, sourceMap}, or null to keep the placeholder
+   */
+  function includeFile(match, kind, filePath, at, baseDir, chain) {
     filePath = filePath.trim();
     let unfinished = true;
+    let undefinedVariable = false;
     let i = 0;
     while (unfinished) {
-      if (i++ >= 100)
-        error('Exceeded maximum path resolution iterations');
+      if (i++ >= 100) {
+        error(`Exceeded maximum path resolution iterations in ${match}`, at);
+        return null;
+      }
       unfinished = false;
-      filePath = filePath.replace(templateVariableNameRegex, (_, variable) => {
-        unfinished = true;
+      filePath = filePath.replace(templateVariableNameRegex, (variableMatch, variable) => {
         if (!(variable in pathVariables)) {
-          error( `Error: Path variable '$${variable}' is not defined in ${match}`,
-                 `Available path variables: ${Object.keys(pathVariables).join(', ')}`);
-          return match;
+          error(`Path variable '$${variable}' is not defined in ${match}\n` +
+                `Available path variables: ${Object.keys(pathVariables).join(', ')}`, at);
+          undefinedVariable = true;
+          return variableMatch;
         }
+        unfinished = true;
         return pathVariables[variable];
       });
+      if (undefinedVariable)
+        return null;
+    }
+    if (filePath.length === 0) {
+      error(`Empty path result from ${match}`, at);
+      return null;
+    }
+    const isStdin = filePath === stdinPath;
+    if (!isStdin && !path.isAbsolute(filePath))
+      filePath = path.join(baseDir, filePath);
+    const resolved = isStdin ? stdinResolved : path.resolve(filePath);
+
+    const link = {name: filePath, resolved};
+    if (chain.some(l => l.resolved === resolved)) {
+      error(`Include cycle detected: ${showChain([...chain, link])}`, at);
+      return null;
+    }
+    if (chain.length > maxDepth) {
+      error(`Exceeded maximum include depth of ${maxDepth}: ${showChain([...chain, link])}`, at);
+      return null;
     }
-    if (filePath.length === 0)
-      error(`Error: Empty path result from ${match}`);
-    if (filePath === stdinPath) {
+
+    let content;
+    if (isStdin || resolved === stdinResolved) {
       stdinPathNotFound = false;
-      return stdinData;
+      content = stdinData;
     }
-    if (!path.isAbsolute(filePath))
-      filePath = path.join(rootPath, filePath);
-    try {
-      return fs.readFileSync(filePath, 'utf8');
-    } catch (e) {
-      error(`Error reading file ${filePath} from replace ${match}: ${e.message}`);
+    else {
+      dependencies.add(filePath);
+      try {
+        content = fs.readFileSync(filePath, 'utf8');
+      } catch (e) {
+        error(`Could not read file ${filePath} from replace ${match} in ${showChain(chain)}: ${e.message}`, at);
+        return null;
+      }
     }
-    return match;
-  });
+    const page = pageContent(content, filePath, kind === 'markdown' || markdownFiles.has(resolved), at);
+    if (page === null)
+      return null;
+    const includedMap = [];
+    const text = processIncludes(page.content, path.dirname(isStdin ? path.join(rootPath, filePath) : filePath),
+                                 [...chain, link], includedMap, page.offset, content);
+    return {text, sourceMap: includedMap};
+  }
+
+  // Top level paths are relative to rootPath, nested include paths are relative to the including file.
+  // text starts at offset in fileText, the text of the file, and is not part of it when offset is null.
+  function processIncludes(text, baseDir, chain, textMap, offset = 0, fileText = text) {
+    const fileName = chain[chain.length - 1].name;
+    const locate = index => offset === null ? fileName : location(fileName, fileText, offset + index);
+    checkForDoubleFileBraces(text, locate, error);
+    let output = '';
+    let copied = 0;
+    const copy = end => {
+      if (end > copied)
+        textMap.push({start: output.length, end: output.length + end - copied, file: fileName, text: fileText,
+                      offset: offset === null ? null : offset + copied});
+      output += text.slice(copied, end);
+      copied = end;
+    };
+    for (const match of text.matchAll(fileReplaceRegex)) {
+      copy(match.index);
+      const included = includeFile(match[0], match[1], match[2], locate(match.index), baseDir, chain);
+      if (included === null) {
+        copy(match.index + match[0].length);
+        continue;
+      }
+      for (const segment of included.sourceMap)
+        textMap.push({...segment, start: output.length + segment.start, end: output.length + segment.end});
+      output += included.text;
+      copied = match.index + match[0].length;
+    }
+    copy(text.length);
+    return output;
+  }
+
+  const top = templatePath
+    ? {name: templatePath, resolved: path.resolve(templatePath)}
+    : {name: '<stdin>', resolved: null};
+  const page = templatePath
+    ? pageContent(template, templatePath, markdownFiles.has(top.resolved), templatePath) ?? {content: template, offset: 0}
+    : {content: template, offset: 0};
+  const result = processIncludes(page.content, rootPath, [top], sourceMap, page.offset, template);
   if (stdinPath && stdinPathNotFound)
     error(`--stdin-path ${stdinPath} specified but not utilized by the template`);
   return result;
@@ -215,6 +446,28 @@ async function readInput(inputFile) {
   return data;
 }
 
+/**
+ * GNU Make dependency rules for target on inputFile and the included dependencies
+ */
+function formatDependencies(target, inputFile, dependencies) {
+  const includes = [...dependencies].map(escapeMakePath);
+  const prerequisites = inputFile ? [escapeMakePath(inputFile), ...includes] : includes;
+  const lines = [escapeMakePath(target) + ':' + prerequisites.map(p => ' \\\n  ' + p).join('')];
+  // Empty rules keep make from failing when an included file is removed
+  for (const include of includes)
+    lines.push('', include + ':');
+  return lines.join('\n') + '\n';
+}
+
+function writeDependencies(depsFile, target, inputFile, dependencies) {
+  try {
+    fs.writeFileSync(depsFile, formatDependencies(target, inputFile, dependencies));
+  } catch (e) {
+    console.error(`Error writing dependency file ${depsFile}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
 function writeOutput(output) {
   // Handle EPIPE errors gracefully
   process.stdout.on('error', (e) => {
@@ -226,9 +479,66 @@ function writeOutput(output) {
   process.stdout.write(output);
 }
 
+/**
+ * Process the template once and write the output and dependency file.
+ * Returns the included files.
+ */
+function run(config, inputText, stdinData) {
+  const dependencies = new Set();
+  const frontMatter = {};
+  const toc = [];
+  const output = preprocessTemplate(inputText, {
+    rootPath: config.rootPath,
+    pathVariables: config.pathVariables,
+    stdinPath: config.stdinPath,
+    stdinData,
+    dependencies,
+    templatePath: config.inputFile,
+    maxDepth: config.maxDepth,
+    development: !config.production,
+    frontMatter,
+    toc
+  });
+  if (config.contextFile)
+    fs.writeFileSync(config.contextFile, JSON.stringify({...frontMatter, toc, toc_html: formatToc(toc)}, null, 2) + '\n');
+  if (config.depsFile)
+    writeDependencies(config.depsFile, config.depsTarget, config.inputFile, dependencies);
+  if (config.outputFile)
+    fs.writeFileSync(config.outputFile, output);
+  else
+    writeOutput(output);
+  return dependencies;
+}
+
+/**
+ * Process the template again whenever the input file or one of its includes changes
+ */
+function watch(config) {
+  const rerun = () => {
+    try {
+      const dependencies = run(config, fs.readFileSync(config.inputFile, 'utf8'), null);
+      console.error(`Wrote ${config.outputFile}`);
+      return dependencies;
+    } catch (e) {
+      console.error(formatError(e));
+      return null;
+    }
+  };
+  let dependencies = rerun() ?? new Set();
+  const watchList = () => [config.inputFile, ...dependencies];
+  const watcher = watchFiles(watchList(), changed => {
+    console.error(`Changed: ${[...changed].join(', ')}`);
+    dependencies = rerun() ?? dependencies;
+    watcher.update(watchList());
+  });
+  console.error('Watching for changes...');
+}
+
 async function main() {
   const config = parseArgs();
-  exitOnError = config.production;
+  if (config.watch)
+    return watch(config);
+
   const inputText = await readInput(config.inputFile);
   if (inputText.length === 0) {
     console.error("Error: No template data");
@@ -240,12 +550,13 @@ async function main() {
     process.exit(1);
   }
 
-  const output = preprocessTemplate(inputText, config.rootPath, config.pathVariables, config.stdinPath, stdinData);
-  checkForDoubleFileBraces(output, !config.production);
-  writeOutput(output);
+  run(config, inputText, stdinData);
 }
 
-main().catch(e => {
-  console.error('Error:', e.message);
-  process.exit(1);
-});
+export { preprocessTemplate, formatDependencies, isIncludeName };
+
+if (isMainModule(import.meta.url))
+  main().catch(e => {
+    console.error(formatError(e));
+    process.exit(1);
+  });
@@ -4,77 +4,260 @@ import fs from 'fs';
 import path from 'path';
 import { program } from 'commander';
 import Mustache from 'mustache';
+import { BuildToolError, TemplateError, formatDiagnostic, isMainModule, location, sourceLocation } from './common.js';
+import { validateSchema, schemaDiagnostic } from './schema_validator.js';
+import { watchFiles } from './watch.js';
+import { loadDataFile } from './data_formats.js';
+import { helpersHelp, builtinHelpers, findHelper, callHelper, loadHelpers } from './helpers.js';
+
+const partialExtensions = ['.mustache', '.html'];
+
+function hasProperty(obj, name) {
+  return obj !== null && typeof obj === 'object' && name in obj;
+}
+
+/**
+ * Mustache context that mirrors Context.lookup to report if a name resolves at all.
+ * The helpers are kept apart from the views, they are only found by helper().
+ */
+class StrictContext extends Mustache.Context {
+  constructor(view, parent = undefined, helpers = {}) {
+    super(view, parent);
+    this.helpers = parent?.helpers ?? helpers;
+  }
+
+  push(view) {
+    return new StrictContext(view, this);
+  }
+
+  /**
+   * Helper function of a section name, null when name is not a helper.
+   * Names of the views take precedence, check has(name) first.
+   */
+  helper(name) {
+    return findHelper(this.helpers, name);
+  }
+
+  has(name) {
+    if (name === '.')
+      return true;
+    for (let context = this; context; context = context.parent) {
+      if (name.indexOf('.') > 0) {
+        const names = name.split('.');
+        let value = context.view;
+        for (let i = 0; value != null && i < names.length; i++) {
+          if (i === names.length - 1)
+            return hasProperty(value, names[i]) || (typeof value !== 'object' && Object.hasOwn(Object(value), names[i]));
+          value = value[names[i]];
+        }
+      }
+      else if (hasProperty(context.view, name))
+        return true;
+    }
+    return false;
+  }
+}
+
+/**
+ * Mustache writer that renders a placeholder for variables missing from a StrictContext
+ * and calls the helpers of helpers.js for their sections
+ */
+class StrictWriter extends Mustache.Writer {
+  constructor(placeholder) {
+    super();
+    this.placeholder = placeholder;
+  }
+
+  renderSection(token, context, partials, originalTemplate, config) {
+    const helper = context.has(token[1]) ? null : context.helper(token[1]);
+    if (!helper)
+      return super.renderSection(token, context, partials, originalTemplate, config);
+    // Helpers escape their own output, so their content is rendered without escaping
+    const raw = {tags: this.getConfigTags(config), escape: String};
+    const children = token[4].filter(([type, text]) => type !== 'text' || text.trim());
+    const [type, name] = children.length === 1 ? children[0] : [];
+    const input = type === 'name' || type === '&'
+      ? (context.has(name) ? context.lookup(name) : this.placeholder(name))
+      : this.renderTokens(token[4], context, partials, originalTemplate, raw);
+    return callHelper(helper, input, {
+      render: template => this.render(template, context, partials, raw),
+      lookup: name => context.lookup(name)
+    });
+  }
+
+  escapedValue(token, context, config) {
+    return context.has(token[1]) ? super.escapedValue(token, context, config) : this.placeholder(token[1]);
+  }
+
+  unescapedValue(token, context, config) {
+    return context.has(token[1]) ? super.unescapedValue(token, context, config) : this.placeholder(token[1]);
+  }
+}
 
 /**
  * Template renderer class that handles custom delimiters and strict context validation
  */
 class TemplateRenderer {
-  constructor(startDelimiter = '{{', endDelimiter = '}}', development = false) {
+  constructor(startDelimiter = '{{', endDelimiter = '}}', development = false, partialDirs = [], helpers = {}) {
     this.startDelimiter = startDelimiter;
     this.endDelimiter = endDelimiter;
     this.development = development;
+    this.partialDirs = partialDirs;
+    this.partialCache = new Map();
+    this.helpers = {...builtinHelpers, ...helpers};
   }
 
   /**
-   * Create a strict context proxy that validates template variable access
+   * Find and read a partial by name from the partial directories, first match wins.
+   * Returns null when no directory has the partial.
    */
-  createStrictContext(obj, path = '') {
-    if (obj === null || typeof obj !== 'object') {
-      return obj;
-    }
+  resolvePartial(name) {
+    if (this.partialCache.has(name))
+      return this.partialCache.get(name);
 
-    // Handle arrays - don't proxy them, just recursively process elements
-    if (Array.isArray(obj)) {
-      return obj.map(item => this.createStrictContext(item, path));
+    let partial = null;
+    search: for (const dir of this.partialDirs) {
+      for (const ext of partialExtensions) {
+        const filePath = path.join(dir, name + ext);
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+          console.error('Loading partial:', filePath);
+          partial = {filePath, template: fs.readFileSync(filePath, 'utf8')};
+          break search;
+        }
+      }
     }
+    this.partialCache.set(name, partial);
+    return partial;
+  }
 
-    return new Proxy(obj, {
-      get: (target, prop) => {
-        // Allow standard object methods and symbols
-        if (prop === 'toString' || prop === 'valueOf' || prop === Symbol.toPrimitive || typeof prop === 'symbol') {
-          return target[prop];
-        }
+  /**
+   * Partial lookup used while rendering, missing partials were already reported by findUndefinedNames
+   */
+  loadPartial(name) {
+    return this.resolvePartial(name)?.template ?? '';
+  }
+
+  /**
+   * Create a strict context that can tell a missing name apart from a falsy value,
+   * with the helpers of the renderer for sections
+   */
+  createStrictContext(obj) {
+    return new StrictContext(obj, undefined, this.helpers);
+  }
+
+  /**
+   * Mustache tags option, undefined when the default delimiters are used
+   */
+  tags() {
+    if (this.startDelimiter !== '{{' || this.endDelimiter !== '}}')
+      return [this.startDelimiter, this.endDelimiter];
+  }
+
+  /**
+   * Mustache tokens of template, syntax errors are thrown as a TemplateError with a location in source,
+   * or the one locate gives for the index into template
+   */
+  parse(template, source = '<stdin>', locate = index => location(source, template, index)) {
+    try {
+      return Mustache.parse(template, this.tags());
+    } catch (error) {
+      // Mustache reports syntax errors with a character index, convert it to a location
+      const match = / at (\d+)$/.exec(error.message);
+      if (!match)
+        throw error;
+      throw new TemplateError(error.message.slice(0, match.index), {location: locate(Number(match[1]))});
+    }
+  }
 
-        // Check if property exists
-        if (!(prop in target)) {
-          const fullPath = path ? `${path}.${String(prop)}` : String(prop);
-          const message = `Undefined template variable: ${this.startDelimiter}${fullPath}${this.endDelimiter}`;
-          
-          if (this.development) {
-            console.warn(`Warning: ${message}`);
-            // Return placeholder using the actual delimiters being used
-            return `${this.startDelimiter}${fullPath} is undefined${this.endDelimiter}`;
-          } else {
-            console.error(`Error: ${message}`);
-            process.exit(1);
+  /**
+   * Walk the parsed template the same way Mustache renders it and collect every
+   * variable, section and inverted section tag whose name is not in the context.
+   * locate gives the location of an index into template, see parse.
+   */
+  findUndefinedNames(template, context, source = '<stdin>', dependencies = new Set(), undefinedNames = new Map(), partialStack = [],
+                     locate = index => location(source, template, index)) {
+    const tokens = this.parse(template, source, locate);
+    const addUndefined = (type, name, start) => {
+      const key = `${source}:${start}`;
+      if (!undefinedNames.has(key))
+        undefinedNames.set(key, {type, name, location: locate(start)});
+    };
+    const check = (tokens, context) => {
+      for (const [type, name, start, , children] of tokens) {
+        if (type === '>') {
+          const partial = this.resolvePartial(name);
+          if (!partial)
+            addUndefined(type, name, start);
+          else if (!partialStack.includes(name)) {
+            dependencies.add(partial.filePath);
+            this.findUndefinedNames(partial.template, context, partial.filePath, dependencies, undefinedNames, [...partialStack, name]);
           }
+          continue;
         }
-
-        const value = target[prop];
-        
-        // Recursively wrap objects to catch nested undefined access
-        if (value !== null && typeof value === 'object') {
-          const newPath = path ? `${path}.${String(prop)}` : String(prop);
-          return this.createStrictContext(value, newPath);
+        if (!['name', '&', '#', '^'].includes(type))
+          continue;
+        if (type === '#' && !context.has(name) && context.helper(name)) {
+          check(children, context);
+          continue;
         }
-
-        return value;
+        if (!context.has(name)) {
+          addUndefined(type, name, start);
+          continue;
+        }
+        const value = context.lookup(name);
+        if (type === '#') {
+          // Mustache skips the content of falsy sections, it is never rendered
+          if (!value)
+            continue;
+          if (Array.isArray(value))
+            value.forEach(item => check(children, context.push(item)));
+          else if (typeof value === 'object' || typeof value === 'string' || typeof value === 'number')
+            check(children, context.push(value));
+          else if (typeof value !== 'function')
+            check(children, context);
+        }
+        else if (type === '^' && (!value || (Array.isArray(value) && value.length === 0)))
+          check(children, context);
       }
-    });
+    };
+    check(tokens, context);
+    return [...undefinedNames.values()];
   }
 
   /**
-   * Render template with custom delimiters and strict context validation
+   * {location, message} diagnostic of a name reported by findUndefinedNames
    */
-  render(template, context) {
+  undefinedNameDiagnostic({type, name, location}) {
+    const sigil = type === 'name' ? '' : type === '>' ? '> ' : type;
+    const kind = {name: 'variable', '&': 'variable', '#': 'section', '^': 'section', '>': 'partial'}[type];
+    let message = `Undefined template ${kind}: ${this.startDelimiter}${sigil}${name}${this.endDelimiter}`;
+    if (type === '>')
+      message += ` (searched: ${this.partialDirs.length > 0 ? this.partialDirs.join(', ') : 'no --partials directories given'})`;
+    return {location, message};
+  }
+
+  /**
+   * Render template with custom delimiters and strict context validation.
+   * Throws a TemplateError listing every undefined name unless in development mode.
+   * The files of the partials used are added to dependencies.
+   * With the sourceMap of preprocessTemplate, locations point into the files template was assembled from.
+   */
+  render(template, context, source = '<stdin>', dependencies = new Set(), sourceMap = null) {
     const strictContext = this.createStrictContext(context);
-    
-    // Set custom delimiters if they differ from defaults
-    let renderOptions = {};
-    if (this.startDelimiter !== '{{' || this.endDelimiter !== '}}')
-      renderOptions.tags = [this.startDelimiter, this.endDelimiter];
-    
-    return Mustache.render(template, strictContext, undefined, renderOptions);
+
+    const locate = sourceMap ? index => sourceLocation(sourceMap, index) : undefined;
+    const diagnostics = this.findUndefinedNames(template, strictContext, source, dependencies, new Map(), [], locate)
+      .map(undefinedName => this.undefinedNameDiagnostic(undefinedName));
+    if (diagnostics.length > 0) {
+      if (!this.development)
+        throw new TemplateError(`${diagnostics.length} undefined template names in ${source}`, {diagnostics});
+      for (const diagnostic of diagnostics)
+        console.warn(formatDiagnostic('Warning', diagnostic));
+    }
+
+    // Undefined variables render as a visible placeholder using the actual delimiters being used
+    const writer = new StrictWriter(name => `${this.startDelimiter}${name} is undefined${this.endDelimiter}`);
+    return writer.render(template, strictContext, name => this.loadPartial(name), {tags: this.tags()});
   }
 }
 
@@ -116,7 +299,199 @@ function addDefaultDisplay(data) {
   return processed;
 }
 
+/**
+ * Copy of a context without the toString and valueOf members of addDefaultDisplay,
+ * as validated against --schema
+ */
+function withoutDefaultDisplay(context) {
+  return Object.fromEntries(Object.entries(context).map(([key, value]) => {
+    if (typeof value !== 'object' || value === null || !Object.hasOwn(value, 'toString') || typeof value.toString !== 'function')
+      return [key, value];
+    const {toString, valueOf, ...data} = value;
+    return [key, data];
+  }));
+}
+
+/**
+ * Load the context, render the template and write the output once.
+ * Returns the files the output depends on.
+ */
+async function renderOnce(config, additionalArgs) {
+  let context = {};
+  
+  // Load pre-merged substitution data if provided
+  if (config.substitutions) {
+    console.error('Loading substitutions:', config.substitutions);
+    const substitutionData = loadDataFile(config.substitutions);
+    if (typeof substitutionData !== 'object' || substitutionData === null || Array.isArray(substitutionData))
+      throw new BuildToolError('Substitutions must be an object', {location: config.substitutions});
+    context = addDefaultDisplay(substitutionData);
+  }
+  
+  // Process additional JSON arguments
+  additionalArgs.forEach((argStr, index) => {
+    let additionalData;
+    try {
+      additionalData = JSON.parse(argStr);
+    } catch (parseError) {
+      const assignmentRegex = /^([-a-zA-Z0-9_]+)=(.+)$/;
+      const assignmentMatch = assignmentRegex.exec(argStr);
+      if (assignmentMatch) {
+        context[assignmentMatch[1]] = assignmentMatch[2];
+        return;
+      }
+      console.error(`Error parsing JSON argument ${index + 1}: ${argStr}`);
+      throw new Error(`Invalid JSON in argument ${index + 1}: ${parseError.message}`);
+    }
+    if (typeof additionalData !== 'object' || additionalData === null || Array.isArray(additionalData))
+      throw new Error(`JSON argument ${index + 1} must be an object, got ${Array.isArray(additionalData) ? 'array' : typeof additionalData}`);
+    Object.assign(context, additionalData);
+  });
+
+  // Read stdin content if --stdin-key is used (before reading template)
+  if (config.stdinKey)
+    context[config.stdinKey] = await readFileOrStdin();
+
+  // Validate the final context before anything is rendered or written
+  if (config.schema) {
+    console.error('Validating substitutions against schema:', config.schema);
+    const {warnings} = validateSchema(config.schema, withoutDefaultDisplay(context), {development: config.development});
+    for (const warning of warnings)
+      console.error(formatDiagnostic('Warning', schemaDiagnostic(warning, config.schema)));
+  }
+
+  // Read template
+  const inputText = await readFileOrStdin(config.input);
+  if (inputText.length === 0)
+    throw new Error('No template data');
+
+  for (const dir of config.partials)
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory())
+      throw new Error(`Partials directory does not exist: ${dir}`);
+
+  // Create renderer with custom delimiters and render template
+  const renderer = new TemplateRenderer(
+    config.startDelimiter,
+    config.endDelimiter,
+    config.development,
+    config.partials,
+    config.helpers ? await loadHelpers(config.helpers) : {}
+  );
+  
+  console.error('Rendering template...');
+  const dependencies = new Set(config.input ? [config.input] : []);
+  if (config.substitutions)
+    dependencies.add(config.substitutions);
+  if (config.schema)
+    dependencies.add(config.schema);
+  if (config.helpers)
+    dependencies.add(config.helpers);
+  const output = renderer.render(inputText, context, config.input, dependencies);
+
+  // Write output
+  if (config.stdout || !config.output) {
+    process.stdout.write(output);
+  } else {
+    console.error('Writing output file:', config.output);
+    await fs.promises.writeFile(config.output, output, 'utf8');
+    console.error('Template rendered successfully!');
+  }
+
+  return dependencies;
+}
+
+function reportError(error) {
+  if (error instanceof BuildToolError) {
+    console.error(error.format());
+    return;
+  }
+  console.error('Template rendering failed:', error.message);
+  if (error.stack) {
+    console.error(error.stack);
+  }
+}
+
+/**
+ * Render again whenever the template, substitutions, helpers or a partial changes
+ */
+async function watch(config, additionalArgs) {
+  const rerender = async () => {
+    try {
+      return await renderOnce(config, additionalArgs);
+    } catch (error) {
+      reportError(error);
+      return null;
+    }
+  };
+  let dependencies = await rerender();
+  const watchList = () => dependencies ?? [config.input, config.substitutions, config.schema, config.helpers].filter(Boolean);
+  const watcher = watchFiles(watchList(), async changed => {
+    console.error(`Changed: ${[...changed].join(', ')}`);
+    dependencies = await rerender() ?? dependencies;
+    watcher.update(watchList(), config.partials);
+  }, {directories: config.partials});
+  console.error('Watching for changes...');
+}
+
+function unit_tests() {
+  let testCount = 0;
+  let passCount = 0;
+
+  function test(description, template, context, expected) {
+    testCount++;
+    let result;
+    try {
+      result = new TemplateRenderer().render(template, context);
+    } catch (error) {
+      result = error.format();
+    }
+    if (result === expected) {
+      passCount++;
+      console.log(`+ ${description}`);
+    } else {
+      console.log(`- ${description}`);
+      console.log(`  Template: ${JSON.stringify(template)}`);
+      console.log(`  Expected: ${JSON.stringify(expected)}`);
+      console.log(`  Got: ${JSON.stringify(result)}`);
+    }
+  }
+
+  function testGroup(title) {
+    console.log(`\n=== ${title} ===`);
+  }
+
+  testGroup('Undefined Names');
+  test('Defined variable', 'Hi {{name}}', {name: 'Ann'}, 'Hi Ann');
+  test('Undefined variable', 'Hi {{name}}', {}, '<stdin>:1:4: Error: Undefined template variable: {{name}}');
+  test('Undefined section', '{{#items}}x{{/items}}', {}, '<stdin>:1:1: Error: Undefined template section: {{#items}}');
+  test('Undefined name inside a section', '{{#author}}{{author.mail}}{{/author}}', {author: {name: 'Ann'}},
+    '<stdin>:1:12: Error: Undefined template variable: {{author.mail}}');
+
+  testGroup('Falsy Sections');
+  const section = '{{#author}}{{author.name}}{{/author}}';
+  test('Section of an object', section, {author: {name: 'Ann'}}, 'Ann');
+  test('Section of null is not checked', section, {author: null}, '');
+  test('Section of an empty string is not checked', section, {author: ''}, '');
+  test('Section of 0 is not checked', section, {author: 0}, '');
+  test('Section of false is not checked', section, {author: false}, '');
+  test('Inverted section of null is checked', '{{^author}}{{fallback}}{{/author}}', {author: null},
+    '<stdin>:1:12: Error: Undefined template variable: {{fallback}}');
+
+  console.log(`\n=== SUMMARY ===`);
+  console.log(`${passCount}/${testCount} tests passed (${Math.round(passCount/testCount*100)}%)`);
+  if (passCount === testCount) {
+    console.log('+ ALL TESTS PASSED!');
+    process.exit(0);
+  } else {
+    console.log('- Some tests failed. Check results above.');
+    process.exit(1);
+  }
+}
+
 async function main() {
+  if (process.argv.includes('--test'))
+    unit_tests();
+
   // Handle EPIPE errors gracefully
   process.stdout.on('error', (err) => {
     if (err.code === 'EPIPE') {
@@ -126,98 +501,48 @@ async function main() {
   });
 
   program
-    .option('--substitutions <file>', 'pre-merged JSON substitution object')
+    .option('--substitutions <file>', 'pre-merged substitution object (JSON, JSON5, YAML, TOML, .env or page front matter)')
     .option('--output <file>', 'output file path (defaults to stdout)')
     .option('--input <file>', 'input template file (defaults to stdin)')
     .option('--stdin-key <key>', 'when set, read stdin and place its content into context under this key (template must then come from --input)')
     .option('--stdout', 'output to stdout instead of file')
-    .option('--development', 'make validation warnings instead of errors', false)
+    .option('--development', 'make validation warnings instead of errors, and use the _dev schema keywords of --schema', false)
+    .option('--schema <file>', 'JSON Schema (.json, .json5, .yaml, .yml, .toml) the final context must conform to before anything is rendered, as used by schema_validator.js')
     .option('--start-delimiter <delimiter>', 'custom start delimiter (default: {{)', '{{')
     .option('--end-delimiter <delimiter>', 'custom end delimiter (default: }})', '}}')
+    .option('--partials <dir>', 'directory of .mustache/.html partials referenced by name like {{> header}} (repeatable)', (dir, dirs) => [...dirs, dir], [])
+    .option('--helpers <module>', 'ES module exporting helper functions added to the built-in helpers')
+    .option('--watch', 're-render when the template, substitutions, helpers or partials change (requires --input and --output)', false)
     .allowUnknownOption()
     .argument('[extra-context...]', 'Additional assignments `name=value` or JSON context objects')
+    .addHelpText('after', helpersHelp)
     .parse();
 
   const config = program.opts();
   const additionalArgs = program.args;
 
-  try {
-    let context = {};
-    
-    // Load pre-merged substitution data if provided
-    if (config.substitutions) {
-      console.error('Loading substitutions:', config.substitutions);
-      try {
-        const substitutionData = JSON.parse(await fs.promises.readFile(config.substitutions, 'utf8'));
-        context = addDefaultDisplay(substitutionData);
-      } catch (error) {
-        throw new Error(`Error parsing json substitutions from file ${config.substitutions} because ${error.message}`);
-      }
-    }
-    
-    // Process additional JSON arguments
-    additionalArgs.forEach((argStr, index) => {
-      let additionalData;
-      try {
-        additionalData = JSON.parse(argStr);
-      } catch (parseError) {
-        const assignmentRegex = /^([-a-zA-Z0-9_]+)=(.+)$/;
-        const assignmentMatch = assignmentRegex.exec(argStr);
-        if (assignmentMatch) {
-          context[assignmentMatch[1]] = assignmentMatch[2];
-          return;
-        }
-        console.error(`Error parsing JSON argument ${index + 1}: ${argStr}`);
-        throw new Error(`Invalid JSON in argument ${index + 1}: ${parseError.message}`);
-      }
-      if (typeof additionalData !== 'object' || additionalData === null || Array.isArray(additionalData))
-        throw new Error(`JSON argument ${index + 1} must be an object, got ${Array.isArray(additionalData) ? 'array' : typeof additionalData}`);
-      Object.assign(context, additionalData);
-    });
-
-    // Read stdin content if --stdin-key is used (before reading template)
-    if (config.stdinKey) {
-      if (!config.input) {
-        console.error('Error: --stdin-key requires --input to specify the template file');
-        process.exit(1);
-      }
-      context[config.stdinKey] = await readFileOrStdin();
-    }
-
-    // Read template
-    const inputText = await readFileOrStdin(config.input);
-    if (inputText.length === 0) {
-      console.error("Error: No template data");
-      process.exit(1);
-    }
+  if (config.stdinKey && !config.input) {
+    console.error('Error: --stdin-key requires --input to specify the template file');
+    process.exit(1);
+  }
+  if (config.watch && (!config.input || !config.output || config.stdout || config.stdinKey)) {
+    console.error('Error: --watch requires --input and --output, and cannot be used with --stdout or --stdin-key');
+    process.exit(1);
+  }
 
-    // Create renderer with custom delimiters and render template
-    const renderer = new TemplateRenderer(
-      config.startDelimiter,
-      config.endDelimiter,
-      config.development
-    );
-    
-    console.error('Rendering template...');
-    const output = renderer.render(inputText, context);
-
-    // Write output
-    if (config.stdout || !config.output) {
-      process.stdout.write(output);
-    } else {
-      console.error('Writing output file:', config.output);
-      await fs.promises.writeFile(config.output, output, 'utf8');
-      console.error('Template rendered successfully!');
-    }
+  if (config.watch)
+    return watch(config, additionalArgs);
 
+  try {
+    await renderOnce(config, additionalArgs);
   } catch (error) {
-    console.error('Template rendering failed:', error.message);
-    if (error.stack) {
-      console.error(error.stack);
-    }
+    reportError(error);
     process.exit(1);
   }
 }
 
+export { TemplateRenderer, StrictContext, addDefaultDisplay };
+
 // Run the script
-main().catch(console.error);
+if (isMainModule(import.meta.url))
+  main().catch(console.error);
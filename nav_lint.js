@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import jsyaml from 'js-yaml';
+import { program } from 'commander';
+import { NavigationError, formatDiagnostic, isMainModule } from './common.js';
+import { extractPages, isPageEntry, pageFile, removeDrafts } from './list_pages.js';
+import { findNexts } from './next_page_resolver.js';
+
+const exitHelp = `
+Exit codes:
+  0  no errors (warnings are allowed unless --warnings-as-errors)
+  1  errors found
+  2  the navigation file could not be read or is malformed
+`;
+
+/**
+ * Navigation with the tracks written without any items (- name:) as empty lists
+ */
+function nullTracksAsEmpty(items) {
+  if (Array.isArray(items))
+    return items.map(nullTracksAsEmpty);
+  if (typeof items === 'object' && items !== null && !isPageEntry(items))
+    return Object.fromEntries(Object.entries(items).map(([k, v]) => [k, v === null ? [] : nullTracksAsEmpty(v)]));
+  return items;
+}
+
+/**
+ * Navigation without the entries of pages listed before, which are reported on their own
+ */
+function removeDuplicatePages(items, shared, seen = new Set(), trackPath = '') {
+  const kept = [];
+  for (const item of items) {
+    if (isPageEntry(item)) {
+      const page = path.join(trackPath || shared, pageFile(item));
+      if (!seen.has(page))
+        kept.push(item);
+      seen.add(page);
+    }
+    else if (typeof item === 'object' && item !== null)
+      kept.push(Object.fromEntries(Object.entries(item).map(([trackName, trackItems]) =>
+        [trackName, removeDuplicatePages(trackItems, shared, seen, path.join(trackPath, trackName))])));
+    else
+      kept.push(item);
+  }
+  return kept;
+}
+
+/**
+ * Tracks, by their slash separated path, that hold no pages at all
+ */
+function findEmptyTracks(items, development, trackPath = '') {
+  const empty = [];
+  for (const item of items) {
+    if (isPageEntry(item) || typeof item !== 'object' || item === null)
+      continue;
+    for (const [trackName, trackItems] of Object.entries(item)) {
+      const track = trackPath ? `${trackPath}/${trackName}` : trackName;
+      if (extractPages(trackItems, {development}).length === 0)
+        empty.push(track);
+      else
+        empty.push(...findEmptyTracks(trackItems, development, track));
+    }
+  }
+  return empty;
+}
+
+/**
+ * Pages reachable by following the next page links from the first page(s),
+ * as extractPages paths without a root path
+ */
+function findReachablePages(navigation, shared) {
+  const toPage = components => components.length === 1 ? path.join(shared, components[0]) : path.join(...components);
+  const reachable = new Set();
+  const queue = findNexts(navigation, []);
+  while (queue.length > 0) {
+    const components = queue.shift();
+    const page = toPage(components);
+    if (reachable.has(page))
+      continue;
+    reachable.add(page);
+    queue.push(...findNexts(navigation, components));
+  }
+  return reachable;
+}
+
+/**
+ * Every file below dir as a path relative to dir, skipping hidden files and directories
+ */
+function listFiles(dir, relative = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(dir, relative), {withFileTypes: true})) {
+    if (entry.name.startsWith('.'))
+      continue;
+    const entryPath = path.join(relative, entry.name);
+    if (entry.isDirectory())
+      files.push(...listFiles(dir, entryPath));
+    else if (entry.isFile())
+      files.push(entryPath);
+  }
+  return files;
+}
+
+/**
+ * Check a navigation structure against the page sources in rootPath.
+ * Errors: pages without a file, pages listed more than once and pages that cannot be
+ * reached through the next page links.
+ * Warnings: tracks without pages and files in rootPath that are not in the navigation.
+ * Only files with one of the extensions count as orphans, by default the extensions of the pages.
+ * Draft pages must exist too, but are left out of the reachability and empty track checks unless development.
+ * Returns {errors, warnings} lists of {location, message} diagnostics,
+ * throws a NavigationError when the structure cannot be processed at all.
+ */
+function lintNavigation(navigation, {rootPath = '.', shared = 'shared', extensions = null, development = false, source = null} = {}) {
+  const errors = [];
+  const warnings = [];
+  navigation = nullTracksAsEmpty(navigation);
+  const pages = extractPages(navigation, {shared, development: true});
+
+  const seen = new Set();
+  for (const page of pages) {
+    if (seen.has(page))
+      errors.push({location: source, message: `Page is listed more than once: ${page}`});
+    seen.add(page);
+    const file = path.join(rootPath, page);
+    if (!fs.existsSync(file))
+      errors.push({location: source, message: `Page file does not exist: ${file}`});
+  }
+
+  const reachable = findReachablePages(removeDuplicatePages(development ? navigation : removeDrafts(navigation), shared), shared);
+  for (const page of new Set(extractPages(navigation, {shared, development})))
+    if (!reachable.has(page))
+      errors.push({location: source, message: `Page cannot be reached through the next page links: ${page}`});
+
+  for (const track of findEmptyTracks(navigation, development))
+    warnings.push({location: source, message: `Track has no pages: ${track}`});
+
+  const orphanExtensions = new Set(extensions ?? pages.map(page => path.extname(page)));
+  if (fs.existsSync(rootPath))
+    for (const file of listFiles(rootPath))
+      if (orphanExtensions.has(path.extname(file)) && !seen.has(file))
+        warnings.push({location: path.join(rootPath, file), message: 'File is not in the navigation'});
+
+  return {errors, warnings};
+}
+
+function main() {
+  program
+    .name('nav-lint')
+    .description('Check a navigation YAML file against the page sources, for use in CI')
+    .requiredOption('--navigation <file>', 'Navigation YAML file')
+    .requiredOption('--root-path <path>', 'The directory holding the page sources, as given to list_pages.js')
+    .option('--shared <name>', 'Name of sharded track directory', 'shared')
+    .option('--extensions <list>', 'comma separated file extensions checked for orphans (default: the extensions of the pages)',
+            x => x.split(',').map(ext => ext.startsWith('.') ? ext : '.' + ext))
+    .option('--development', 'check the pages marked draft: true like published pages', false)
+    .option('--warnings-as-errors', 'exit with an error code when there are warnings', false)
+    .addHelpText('after', exitHelp)
+    .parse();
+  const options = program.opts();
+
+  let result;
+  try {
+    const navigation = jsyaml.load(fs.readFileSync(options.navigation, 'utf8'));
+    result = lintNavigation(navigation, {...options, source: options.navigation});
+  } catch (error) {
+    console.error(formatDiagnostic('Error', {
+      location: error instanceof NavigationError ? options.navigation : null,
+      message: error.message
+    }));
+    process.exit(2);
+  }
+
+  const {errors, warnings} = result;
+  for (const error of errors)
+    console.error(formatDiagnostic('Error', error));
+  for (const warning of warnings)
+    console.error(formatDiagnostic('Warning', warning));
+  console.error(`${errors.length} errors, ${warnings.length} warnings`);
+  if (errors.length > 0 || (options.warningsAsErrors && warnings.length > 0))
+    process.exit(1);
+}
+
+export { lintNavigation };
+
+if (isMainModule(import.meta.url))
+  main();
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import jsyaml from 'js-yaml';
+import { program } from 'commander';
+import { NavigationError, formatError, isMainModule } from './common.js';
+import { isPageEntry, pageFile, pageMetadata, removeDrafts, markdownUrlExtensions, mapExtension } from './list_pages.js';
+
+const itemHelp = `
+Every menu item has the same keys, so strict templates can use any of them in a section:
+  is_page, is_track      what the item is
+  name                   file name of a page, directory name of a track
+  title                  title of the page entry or the file name without extension, name of a track
+  path                   <track>/<file> of a page, slash separated directories of a track
+  url                    page URL, the first page of a track (null for a track without pages)
+  depth                  0 for the top level items
+  index                  1 based position among the sibling items
+  first, last            true for the first and last sibling item
+  is_current             true for the --current-page
+  contains_current       true for a track holding the --current-page, and for the current page itself
+  meta                   fields of the page entry besides file, like tags
+  children               items of a track, empty for a page
+
+Example template:
+  {{#menu}}<li>{{#is_page}}<a href="/{{url}}"{{#is_current}} aria-current="page"{{/is_current}}>{{title}}</a>{{/is_page}}
+  {{#is_track}}{{title}}<ul>{{#children}}...{{/children}}</ul>{{/is_track}}</li>{{/menu}}
+`;
+
+/**
+ * Navigation tree as menu items shaped for Mustache sections, see itemHelp.
+ * currentPage is a <track>/<file> path like the ones list_pages.js prints.
+ * Draft pages are left out unless development. urlExtensions replaces page extensions in the URLs,
+ * like markdownUrlExtensions of list_pages.js.
+ */
+function navigationMenu(navigation, {currentPage = null, shared = 'shared', urlPrefix = '', urlExtensions = {}, development = false} = {}) {
+  if (!development)
+    navigation = removeDrafts(navigation);
+  const current = currentPage === null ? null
+    : path.normalize(path.dirname(currentPage) === '.' ? path.join(shared, currentPage) : currentPage);
+
+  const menuItems = (items, depth, directories) => {
+    if (!Array.isArray(items))
+      throw new NavigationError(`Expected a list of pages in ${directories.join('/') || 'navigation'}, got: ${JSON.stringify(items)}`);
+    const menu = [];
+    for (const item of items) {
+      if (isPageEntry(item)) {
+        const name = pageFile(item);
+        const page = path.join(directories.length > 0 ? path.join(...directories) : shared, name);
+        const metadata = pageMetadata(item);
+        menu.push({
+          is_page: true,
+          is_track: false,
+          name,
+          title: metadata.title ?? path.parse(name).name,
+          path: page.split(path.sep).join('/'),
+          url: mapExtension(path.join(urlPrefix, page), urlExtensions),
+          depth,
+          is_current: page === current,
+          contains_current: page === current,
+          meta: metadata,
+          children: []
+        });
+      }
+      else if (typeof item === 'object' && item !== null)
+        for (const [name, trackItems] of Object.entries(item)) {
+          const children = menuItems(trackItems, depth + 1, [...directories, name]);
+          menu.push({
+            is_page: false,
+            is_track: true,
+            name,
+            title: name,
+            path: [...directories, name].join('/'),
+            url: children.find(child => child.url !== null)?.url ?? null,
+            depth,
+            is_current: false,
+            contains_current: children.some(child => child.contains_current),
+            meta: {},
+            children
+          });
+        }
+      else
+        throw new NavigationError(`Could not process: ${JSON.stringify(item)}`);
+    }
+    return menu.map((item, i) => ({...item, index: i + 1, first: i === 0, last: i === menu.length - 1}));
+  };
+
+  return menuItems(navigation, 0, []);
+}
+
+function main() {
+  program
+    .name('nav-menu')
+    .description('Output the navigation tree as nested JSON menu items for mustache_substitution.js')
+    .requiredOption('--navigation <file>', 'Navigation YAML file')
+    .option('--current-page <page>', 'Current page path, marked with is_current')
+    .option('--id <key>', 'key of the menu items in the output object', 'menu')
+    .option('--shared <name>', 'Name of sharded track directory', 'shared')
+    .option('--url-prefix <path>', 'URL prefix path to prepend to page paths', '')
+    .option('--no-markdown-urls', 'Link Markdown pages by their .md source instead of the .html build.js writes')
+    .option('--development', 'Also include the pages marked draft: true', false)
+    .addHelpText('after', itemHelp)
+    .parse();
+  const options = program.opts();
+
+  try {
+    const navigation = jsyaml.load(fs.readFileSync(options.navigation, 'utf8'));
+    console.log(JSON.stringify({[options.id]: navigationMenu(navigation, {...options, urlExtensions: options.markdownUrls ? markdownUrlExtensions : {}})}, null, 2));
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+}
+
+export { navigationMenu };
+
+if (isMainModule(import.meta.url))
+  main();
@@ -4,44 +4,189 @@ import { readFileSync } from 'fs';
 import jsyaml from 'js-yaml';
 import { program } from 'commander';
 import path from 'path';
+import { NavigationError, isMainModule } from './common.js';
+import { isPageEntry, pageFile, pageMetadata, removeDrafts, markdownUrlExtensions, mapExtension } from './list_pages.js';
 
-if (process.argv.includes('--test'))
-  unit_tests(findNexts);
+function pageParts(currentPage, shared) {
+  const currentPageParts = currentPage.split(path.sep);
+  if (currentPageParts[0] === shared)
+    currentPageParts.shift();
+  return currentPageParts;
+}
 
-program
-  .requiredOption('--current-page <page>', 'Current page path')
-  .requiredOption('--navigation <file>', 'Navigation YAML file')
-  .option('--id-prefix <string>', 'Prefix string for the substitution object keys', 'next_page')
-  .option('--shared <name>', 'Name of sharded track directory', 'shared')
-  .option('--url-prefix <path>', 'URL prefix path to prepend to next page paths', '')
-  .parse();
+/**
+ * URL of the page at the path components, with its extension replaced when urlExtensions maps it,
+ * like {".md": ".html"} for pages that are rendered to another format
+ */
+function pageUrl(urlPrefix, components, urlExtensions = {}) {
+  return mapExtension(path.join(urlPrefix, ...components), urlExtensions);
+}
 
-const options = program.opts();
+/**
+ * Substitution entries for page links found by findNexts or findPrevious.
+ * A single page is keyed by idPrefix, branches into several tracks are keyed by idPrefix-track.
+ * Pages with a title in the navigation also get a <key>_title entry.
+ */
+function pageLinks(navigation, pages, idPrefix, shared, urlPrefix, urlExtensions = {}) {
+  const links = pages.map(components => {
+    const title = pageMetadata(locatePage(navigation, components)?.entry ?? '').title;
+    const directories = components.slice(0, -1);
+    if (directories.length === 0)
+      directories.push(shared);
+    const id = idPrefix + '-' + directories.join('_');
+    const fp = pageUrl(urlPrefix, [...directories, components[components.length - 1]], urlExtensions);
+    return {id, fp, title};
+  });
+  if (links.length === 1)
+    links[0].id = idPrefix;
+  return Object.fromEntries(links.flatMap(({id, fp, title}) =>
+    title === undefined ? [[id, fp]] : [[id, fp], [id + '_title', title]]));
+}
 
-try {
-  const navigation = jsyaml.load(readFileSync(options.navigation, 'utf8'));
-  const currentPageParts = options.currentPage.split(path.sep);
-  if (currentPageParts[0] === options.shared)
-    currentPageParts.shift();
-  const nexts = findNexts(navigation, currentPageParts);
-  if (nexts.length > 0) {
-    const paths = nexts.map(components => {
-      const file = components.pop();
-      if (components.length === 0)
-        components.push(options.shared);
-      const id = options.idPrefix + '-' + components.join('_');
-      const fp = path.join(options.urlPrefix, ...components, file);
-      return [id, fp];
-    });
-    if (paths.length === 1)
-      paths[0][0] = options.idPrefix;
-    console.log(JSON.stringify(Object.fromEntries(paths)));
+/**
+ * Substitution object of next page URLs for currentPage, empty for the last page.
+ * Draft pages are skipped unless development.
+ */
+function nextPageContext(navigation, currentPage, {idPrefix = 'next_page', shared = 'shared', urlPrefix = '', urlExtensions = {}, development = false} = {}) {
+  if (!development)
+    navigation = removeDrafts(navigation);
+  return pageLinks(navigation, findNexts(navigation, pageParts(currentPage, shared)), idPrefix, shared, urlPrefix, urlExtensions);
+}
+
+/**
+ * Full navigation substitution object for currentPage:
+ *   <idPrefix>[-track]          next page URLs, false for the last page
+ *   <previousIdPrefix>[-track]  previous page URLs, false for the first page
+ *   <pageIdPrefix>_track        track directories of the page joined with /, or the shared name
+ *   <pageIdPrefix>_position     1 based position of the page among the pages of its track list
+ *   <pageIdPrefix>_count        number of pages in the track list
+ *   <pageIdPrefix>_first        true for the first page of the track list
+ *   <pageIdPrefix>_last         true for the last page of the track list
+ *   <pageIdPrefix>_breadcrumbs  [{name, path, url}] of the nested track directories,
+ *                               url is the first page of that track
+ *   <pageIdPrefix>_title        title of the page, when the navigation entry has one
+ *   <pageIdPrefix>_meta         fields of the navigation entry besides file, like tags
+ * Next and previous pages with a title also get <key>_title entries.
+ * urlExtensions replaces page extensions in the URLs, see pageUrl.
+ * Draft pages are skipped unless development.
+ * Throws a NavigationError when currentPage is not in the navigation.
+ */
+function navigationContext(navigation, currentPage, {
+  idPrefix = 'next_page',
+  previousIdPrefix = 'previous_page',
+  pageIdPrefix = 'page',
+  shared = 'shared',
+  urlPrefix = '',
+  urlExtensions = {},
+  development = false
+} = {}) {
+  if (!development)
+    navigation = removeDrafts(navigation);
+  const parts = pageParts(currentPage, shared);
+  const location = locatePage(navigation, parts);
+  if (!location)
+    throw new NavigationError(`Could not find page in navigation: ${currentPage}`);
+  const {list, index, trail, entry} = location;
+
+  const nexts = pageLinks(navigation, findNexts(navigation, parts), idPrefix, shared, urlPrefix, urlExtensions);
+  const previous = pageLinks(navigation, findPrevious(navigation, parts), previousIdPrefix, shared, urlPrefix, urlExtensions);
+  const position = list.slice(0, index + 1).filter(isPageEntry).length;
+  const count = list.filter(isPageEntry).length;
+  const metadata = pageMetadata(entry);
+  const breadcrumbs = trail.map(({name, list}, i) => {
+    const directions = trail.slice(0, i + 1).map(t => t.name);
+    const firsts = getNexts(list, directions);
+    return {
+      name,
+      path: directions.join('/'),
+      url: Array.isArray(firsts) ? pageUrl(urlPrefix, firsts[0], urlExtensions) : null
+    };
+  });
+
+  return {
+    ...(Object.keys(nexts).length > 0 ? nexts : {[idPrefix]: false}),
+    ...(Object.keys(previous).length > 0 ? previous : {[previousIdPrefix]: false}),
+    [pageIdPrefix + '_track']: trail.length > 0 ? trail.map(t => t.name).join('/') : shared,
+    [pageIdPrefix + '_position']: position,
+    [pageIdPrefix + '_count']: count,
+    [pageIdPrefix + '_first']: position === 1,
+    [pageIdPrefix + '_last']: position === count,
+    [pageIdPrefix + '_breadcrumbs']: breadcrumbs,
+    ...(metadata.title !== undefined ? {[pageIdPrefix + '_title']: metadata.title} : {}),
+    [pageIdPrefix + '_meta']: metadata
+  };
+}
+
+function main() {
+  if (process.argv.includes('--test'))
+    unit_tests(findNexts);
+
+  program
+    .requiredOption('--current-page <page>', 'Current page path')
+    .requiredOption('--navigation <file>', 'Navigation YAML file')
+    .option('--id-prefix <string>', 'Prefix string for the next page substitution object keys', 'next_page')
+    .option('--previous-id-prefix <string>', 'Prefix string for the previous page substitution object keys', 'previous_page')
+    .option('--page-id-prefix <string>', 'Prefix string for the track, position and breadcrumbs substitution object keys', 'page')
+    .option('--next-only', 'Only output the next page keys, and fail for the last page', false)
+    .option('--shared <name>', 'Name of sharded track directory', 'shared')
+    .option('--url-prefix <path>', 'URL prefix path to prepend to next page paths', '')
+    .option('--no-markdown-urls', 'Link Markdown pages by their .md source instead of the .html build.js writes')
+    .option('--development', 'Also link to the pages marked draft: true', false)
+    .parse();
+
+  const options = program.opts();
+  options.urlExtensions = options.markdownUrls ? markdownUrlExtensions : {};
+
+  try {
+    const navigation = jsyaml.load(readFileSync(options.navigation, 'utf8'));
+    if (options.nextOnly) {
+      const nexts = nextPageContext(navigation, options.currentPage, options);
+      if (Object.keys(nexts).length === 0)
+        throw new NavigationError(`Could not find next page for: ${options.currentPage}`);
+      console.log(JSON.stringify(nexts));
+    }
+    else
+      console.log(JSON.stringify(navigationContext(navigation, options.currentPage, options)));
+  } catch (error) {
+    console.error(`Error processing navigation: ${error.message}`);
+    process.exit(1);
   }
-  else
-    throw Error(`Could not find next page for: ${options.currentPage}`);
-} catch (error) {
-  console.error(`Error processing navigation: ${error.message}`);
-  process.exit(1);
+}
+
+/**
+ * Navigation with every page list reversed, so the next pages found in it are the previous pages
+ */
+function reverseNavigation(xs) {
+  if (Array.isArray(xs))
+    return xs.map(reverseNavigation).reverse();
+  if (typeof xs === 'object' && xs !== null && !isPageEntry(xs))
+    return Object.fromEntries(Object.entries(xs).map(([k, v]) => [k, reverseNavigation(v)]));
+  return xs;
+}
+
+function findPrevious(xs, path) {
+  return findNexts(reverseNavigation(xs), path);
+}
+
+/**
+ * First occurrence of the page at path: its navigation entry, containing list, index in it,
+ * and the trail of {name, list} track lists leading to it
+ */
+function locatePage(xs, path, trail = []) {
+  if (!Array.isArray(xs))
+    return null;
+  for (const [index, x] of xs.entries()) {
+    if (isPageEntry(x)) {
+      if (path.length === 1 && pageFile(x) === path[0])
+        return {entry: x, list: xs, index, trail};
+    }
+    else if (path.length > 1 && typeof x === 'object' && x !== null && path[0] in x) {
+      const found = locatePage(x[path[0]], path.slice(1), [...trail, {name: path[0], list: x[path[0]]}]);
+      if (found)
+        return found;
+    }
+  }
+  return null;
 }
 
 function findNexts(xs, path) {
@@ -73,30 +218,28 @@ function findNextsHelper(xs, path, directions) {
     }
     return found;
   }
+  if (isPageEntry(xs))
+    return path.length === 1 && pageFile(xs) === path[0];
   if (path.length === 1) {
-    if (typeof xs === 'string')
-      return xs === path[0];
     if (typeof xs === 'object' && xs !== null)
       return false;
-    throw new Error('findNexts unhandled state: ' + JSON.stringify({xs: xs, path: path, directions: directions}));
+    throw new NavigationError('findNexts unhandled state: ' + JSON.stringify({xs: xs, path: path, directions: directions}));
   }
-  if (typeof xs === 'string')
-    return false;
   if (typeof xs === 'object' && xs !== null)
     return findNextsHelper(xs[path[0]], path.slice(1), [...directions, path[0]]);
-  throw new Error('findNexts unhandled state: ' + JSON.stringify({xs: xs, path: path, directions: directions}));
+  throw new NavigationError('findNexts unhandled state: ' + JSON.stringify({xs: xs, path: path, directions: directions}));
 }
 
 function getNexts(xs, directions) {
-  if (typeof xs === 'string')
-    return [[...directions, xs]];
+  if (isPageEntry(xs))
+    return [[...directions, pageFile(xs)]];
   if (Array.isArray(xs))
     return xs.length > 0 ? getNexts(xs[0], directions) : true;
   if (typeof xs === 'object' && xs !== null) {
     const nexts = Object.entries(xs).flatMap(([k,v]) => getNexts(v, [...directions, k])).filter(Array.isArray);
     return nexts.length > 0 ? nexts : true;
   }
-  throw new Error('getNexts unhandled state: ' + JSON.stringify({xs, directions}));
+  throw new NavigationError('getNexts unhandled state: ' + JSON.stringify({xs, directions}));
 }
 
 
@@ -109,9 +252,9 @@ function unit_tests() {
     return JSON.stringify(a) === JSON.stringify(b);
   }
   
-  function test(description, structure, input, expected) {
+  function test(description, structure, input, expected, find = findNexts) {
     testCount++;
-    const result = findNexts(structure, input);
+    const result = find(structure, input);
     const pass = deepEqual(result, expected);
     
     if (pass) {
@@ -305,6 +448,119 @@ function unit_tests() {
   test('Deep to shallow', deepNest, ["a", "b", "c", "mid.js"], [["a", "b", "shallow.js"]]);
   test('Shallow to root', deepNest, ["a", "b", "shallow.js"], [["root.js"]]);
   
+  testGroup('Previous Pages');
+  test('Previous of first file', basic, ["config.js"], [], findPrevious);
+  test('Previous into directory last file', basic, ["readme.md"], [["src", "utils.js"]], findPrevious);
+  test('Previous out of directory', basic, ["src", "index.js"], [["config.js"]], findPrevious);
+  test('Previous sibling in same dir', basic, ["src", "utils.js"], [["src", "index.js"]], findPrevious);
+  test('Previous across empty dir', emptyDirs, ["file2.js"], [["file1.js"]], findPrevious);
+  test('Previous deep nested', deepNest, ["root.js"], [["a", "b", "shallow.js"]], findPrevious);
+  test('Previous second shared directory', multiDir, ["shared", "y.js"], [["b.js"]], findPrevious);
+  const branches = [
+    "start.js",
+    {
+      "left": ["l1.js", "l2.js"],
+      "right": ["r1.js"]
+    },
+    "join.js"
+  ];
+  test('Branch forward', branches, ["start.js"], [["left", "l1.js"], ["right", "r1.js"]]);
+  test('Branch previous from join', branches, ["join.js"], [["left", "l2.js"], ["right", "r1.js"]], findPrevious);
+  test('Branch previous from first of branch', branches, ["right", "r1.js"], [["start.js"]], findPrevious);
+
+  testGroup('Navigation Context');
+  test('Context of nested page', complex, ["lib", "utils", "math.js"], {
+    "next_page": "lib/index.js",
+    "previous_page": "lib/utils/helper.js",
+    "page_track": "lib/utils",
+    "page_position": 2,
+    "page_count": 2,
+    "page_first": false,
+    "page_last": true,
+    "page_breadcrumbs": [
+      {"name": "lib", "path": "lib", "url": "lib/utils/helper.js"},
+      {"name": "utils", "path": "lib/utils", "url": "lib/utils/helper.js"}
+    ],
+    "page_meta": {}
+  }, (structure, input) => navigationContext(structure, input.join(path.sep)));
+  test('Context of first and last pages', basic, ["config.js"], {
+    "next_page": "src/index.js",
+    "previous_page": false,
+    "page_track": "shared",
+    "page_position": 1,
+    "page_count": 2,
+    "page_first": true,
+    "page_last": false,
+    "page_breadcrumbs": [],
+    "page_meta": {}
+  }, (structure, input) => navigationContext(structure, input.join(path.sep)));
+  test('Context of branch join', branches, ["join.js"], {
+    "next_page": false,
+    "previous_page-left": "left/l2.js",
+    "previous_page-right": "right/r1.js",
+    "page_track": "shared",
+    "page_position": 2,
+    "page_count": 2,
+    "page_first": false,
+    "page_last": true,
+    "page_breadcrumbs": [],
+    "page_meta": {}
+  }, (structure, input) => navigationContext(structure, input.join(path.sep)));
+
+  testGroup('Page Entry Objects');
+  const entries = [
+    {"file": "intro.js", "title": "Intro"},
+    {
+      "guide": [
+        "setup.js",
+        {"file": "wip.js", "draft": true},
+        {"file": "usage.js", "title": "Usage", "tags": ["basics"]}
+      ]
+    },
+    "end.js"
+  ];
+  test('Entry object to nested string', entries, ["intro.js"], [["guide", "setup.js"]]);
+  test('String to draft entry', entries, ["guide", "setup.js"], [["guide", "wip.js"]]);
+  test('Entry object to shared string', entries, ["guide", "usage.js"], [["end.js"]]);
+  test('Previous of string is entry object', entries, ["end.js"], [["guide", "usage.js"]], findPrevious);
+  test('Drafts removed', removeDrafts(entries), ["guide", "setup.js"], [["guide", "usage.js"]]);
+  test('Next page title', entries, ["guide", "setup.js"], {
+    "next_page": "guide/usage.js",
+    "next_page_title": "Usage"
+  }, (structure, input) => nextPageContext(structure, input.join(path.sep)));
+  test('Draft linked in development', entries, ["guide", "setup.js"], {
+    "next_page": "guide/wip.js"
+  }, (structure, input) => nextPageContext(structure, input.join(path.sep), {development: true}));
+  test('Context of entry object', entries, ["guide", "usage.js"], {
+    "next_page": "shared/end.js",
+    "previous_page": "guide/setup.js",
+    "page_track": "guide",
+    "page_position": 2,
+    "page_count": 2,
+    "page_first": false,
+    "page_last": true,
+    "page_breadcrumbs": [{"name": "guide", "path": "guide", "url": "guide/setup.js"}],
+    "page_title": "Usage",
+    "page_meta": {"title": "Usage", "tags": ["basics"]}
+  }, (structure, input) => navigationContext(structure, input.join(path.sep)));
+
+  testGroup('URL Extensions');
+  const markdown = [
+    "intro.md",
+    {"guide": ["setup.md", "usage.html"]}
+  ];
+  test('Markdown links to HTML', markdown, ["guide", "setup.md"], {
+    "next_page": "guide/usage.html",
+    "previous_page": "shared/intro.html",
+    "page_track": "guide",
+    "page_position": 1,
+    "page_count": 2,
+    "page_first": true,
+    "page_last": false,
+    "page_breadcrumbs": [{"name": "guide", "path": "guide", "url": "guide/setup.html"}],
+    "page_meta": {}
+  }, (structure, input) => navigationContext(structure, input.join(path.sep), {urlExtensions: {".md": ".html"}}));
+
   // Summary
   console.log(`\n=== SUMMARY ===`);
   console.log(`${passCount}/${testCount} tests passed (${Math.round(passCount/testCount*100)}%)`);
@@ -316,3 +572,8 @@ function unit_tests() {
     process.exit(1);
   }
 }
+
+export { findNexts, findPrevious, nextPageContext, navigationContext };
+
+if (isMainModule(import.meta.url))
+  main();
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { program } from 'commander';
+import { BuildToolError, formatDiagnostic, formatError, isMainModule } from './common.js';
+import { TemplateRenderer } from './mustache_substitution.js';
+import { findHelper, loadHelpers } from './helpers.js';
+import { isIncludeName } from './mustache_file.js';
+
+const inferenceHelp = `
+Inferred types:
+  {{x}}, {{{x}}}, {{&x}}          string or number
+  {{#x}}...{{/x}}                  boolean, or string, number or boolean when x is also rendered
+  {{#x}}{{.}}{{/x}}                array of strings or numbers
+  {{#x}}{{y}}{{/x}}                array of objects or an object with property y
+  {{x.y}}                          object with property y
+  {{^x}}...{{/x}}                  boolean
+Names used inside a section that are also used outside of it are taken to be looked up
+in the outer context. Every name is in "required", as the strict renderer needs them all;
+names that are only used in inverted sections are left out of "required_dev".
+Helper sections like {{#json}} are not part of the context unless a name of the same scope is,
+the names inside them are. A single name in one, like {{#json}}{{meta}}{{/json}}, can be of any type.
+The result is a starting point, review the types before relying on it.
+`;
+
+function createNode() {
+  return {uses: new Set(), properties: new Map(), iterated: false};
+}
+
+/**
+ * True when the dotted names are properties below node
+ */
+function hasPath(node, names) {
+  return names.every(part => (node = node.properties.get(part)) !== undefined);
+}
+
+/**
+ * Collect the names used by template into the root node.
+ * scopes is the stack of nodes of the enclosing sections, the root node first.
+ */
+function collectNames(renderer, template, source, scopes, {dependencies, partialStack = []}) {
+  // helperInput is the token of a helper section holding nothing else, the helper takes any value
+  const walk = (tokens, scopes, helperInput = null) => {
+    for (const token of tokens) {
+      const [type, name, , , children] = token;
+      if (type === '>') {
+        const partial = renderer.resolvePartial(name);
+        if (!partial)
+          console.error(formatDiagnostic('Warning', {location: source, message: `Partial not found: ${name}`}));
+        else if (!partialStack.includes(name)) {
+          dependencies.add(partial.filePath);
+          collectNames(renderer, partial.template, partial.filePath, scopes, {dependencies, partialStack: [...partialStack, name]});
+        }
+        continue;
+      }
+      // {{{file:...}}} placeholders are replaced before rendering
+      if (!['name', '&', '#', '^'].includes(type) || isIncludeName(name))
+        continue;
+
+      if (name === '.') {
+        if (scopes.length > 1)
+          scopes[scopes.length - 1].iterated = true;
+        if (type === '#' || type === '^')
+          walk(children, scopes);
+        continue;
+      }
+
+      const names = name.split('.');
+      // Helper sections take no value of their own, only their content does. Like the renderer,
+      // a name of the context takes precedence, as far as the names used so far tell.
+      if (type === '#' && findHelper(renderer.helpers, name) && !scopes.some(scope => hasPath(scope, names))) {
+        const content = children.filter(([type, text]) => type !== 'text' || text.trim());
+        walk(children, scopes, content.length === 1 && ['name', '&'].includes(content[0][0]) ? content[0] : null);
+        continue;
+      }
+      // Mustache looks the first name up from the innermost context outwards
+      let node = [...scopes].reverse().find(scope => scope.properties.has(names[0])) ?? scopes[scopes.length - 1];
+      for (const [i, part] of names.entries()) {
+        if (!node.properties.has(part))
+          node.properties.set(part, createNode());
+        node = node.properties.get(part);
+        if (i < names.length - 1)
+          node.uses.add('object');
+      }
+      node.uses.add(token === helperInput ? 'any' : {name: 'value', '&': 'value', '#': 'section', '^': 'inverted'}[type]);
+
+      if (type === '#')
+        walk(children, [...scopes, node]);
+      else if (type === '^')
+        walk(children, scopes);
+    }
+  };
+  walk(renderer.parse(template, source), scopes);
+}
+
+function mergeNode(target, source) {
+  for (const use of source.uses)
+    target.uses.add(use);
+  target.iterated ||= source.iterated;
+  for (const [name, child] of source.properties) {
+    if (target.properties.has(name))
+      mergeNode(target.properties.get(name), child);
+    else
+      target.properties.set(name, child);
+  }
+}
+
+/**
+ * Move names used inside sections to the enclosing scope that also uses them,
+ * wherever in the templates that use is
+ */
+function hoistOuterNames(node, ancestors) {
+  for (const [name, child] of [...node.properties]) {
+    const outer = [...ancestors].reverse().find(scope => scope.properties.has(name));
+    if (outer) {
+      mergeNode(outer.properties.get(name), child);
+      node.properties.delete(name);
+    }
+  }
+  for (const child of node.properties.values())
+    if (child.uses.has('section'))
+      hoistOuterNames(child, [...ancestors, node]);
+}
+
+/**
+ * JSON Schema of an object with the properties of node
+ */
+function objectSchema(node) {
+  const properties = Object.fromEntries([...node.properties].map(([name, child]) => [name, nodeSchema(child)]));
+  const required = [...node.properties.keys()];
+  const requiredDev = [...node.properties]
+    .filter(([, child]) => [...child.uses].some(use => use !== 'inverted'))
+    .map(([name]) => name);
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? {required} : {}),
+    ...(requiredDev.length !== required.length ? {required_dev: requiredDev} : {})
+  };
+}
+
+function nodeSchema(node) {
+  if (node.properties.size > 0) {
+    const object = objectSchema(node);
+    if (!node.uses.has('section'))
+      return object;
+    const {type, ...keywords} = object;
+    return {type: ['array', 'object'], items: object, ...keywords};
+  }
+  if (node.uses.has('any'))
+    return {};
+  if (node.iterated)
+    return {type: 'array', items: {type: ['string', 'number']}};
+  if (node.uses.has('value'))
+    return {type: node.uses.size > 1 ? ['string', 'number', 'boolean'] : ['string', 'number']};
+  return {type: 'boolean'};
+}
+
+/**
+ * Draft JSON Schema for the context of the templates, see inferenceHelp.
+ * templates is a list of {template, source}; partials are followed through the renderer's
+ * partial directories and their files added to dependencies. helpers are project helpers
+ * besides the built-in ones of helpers.js.
+ */
+function inferSchema(templates, {
+  startDelimiter = '{{',
+  endDelimiter = '}}',
+  partials = [],
+  title = null,
+  helpers = {},
+  dependencies = new Set()
+} = {}) {
+  const renderer = new TemplateRenderer(startDelimiter, endDelimiter, true, partials, helpers);
+  const root = createNode();
+  for (const {template, source} of templates)
+    collectNames(renderer, template, source, [root], {dependencies});
+  hoistOuterNames(root, []);
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    ...(title ? {title} : {}),
+    description: `Inferred from ${templates.map(t => t.source).join(', ')}`,
+    ...objectSchema(root)
+  };
+}
+
+async function main() {
+  program
+    .name('schema-infer')
+    .description('Infer a draft JSON Schema for schema_validator.js from the names used in Mustache templates')
+    .argument('<templates...>', 'template files')
+    .option('--output <file>', 'write the schema to file instead of stdout')
+    .option('--title <title>', 'schema title')
+    .option('--start-delimiter <delimiter>', 'custom start delimiter', '{{')
+    .option('--end-delimiter <delimiter>', 'custom end delimiter', '}}')
+    .option('--partials <dir>', 'directory of partials followed through {{> name}} (repeatable)', (dir, dirs) => [...dirs, dir], [])
+    .option('--helpers <module>', 'ES module of project helpers, as given to mustache_substitution.js')
+    .addHelpText('after', inferenceHelp)
+    .parse();
+  const options = program.opts();
+
+  try {
+    const templates = program.args.map(source => {
+      try {
+        return {template: fs.readFileSync(source, 'utf8'), source};
+      } catch (error) {
+        throw new BuildToolError(`Could not read template: ${error.message}`, {location: source});
+      }
+    });
+    const helpers = options.helpers ? await loadHelpers(options.helpers) : {};
+    const schema = JSON.stringify(inferSchema(templates, {...options, helpers}), null, 2) + '\n';
+    if (options.output)
+      fs.writeFileSync(options.output, schema, 'utf8');
+    else
+      process.stdout.write(schema);
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+}
+
+export { inferSchema };
+
+if (isMainModule(import.meta.url))
+  main().catch(error => {
+    console.error(formatError(error));
+    process.exit(1);
+  });
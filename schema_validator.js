@@ -3,32 +3,15 @@ import addFormats from 'ajv-formats';
 import yaml from 'js-yaml';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { Command } from 'commander';
+import { BuildToolError, SchemaValidationError, isMainModule } from './common.js';
+import { loadDataFile } from './data_formats.js';
 
+/**
+ * Load a schema or data file in any format of data_formats.js, YAML with the JSON schema
+ */
 function loadFile(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const ext = path.extname(filePath).toLowerCase();
-    
-    if (ext === '.json') {
-      return JSON.parse(content);
-    } else if (ext === '.yaml' || ext === '.yml') {
-      return yaml.load(content, {schema: yaml.JSON_SCHEMA});
-    } else {
-      throw new Error(`Unsupported file format: ${ext}. Only .json, .yaml, and .yml files are supported.`);
-    }
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      throw new Error(`File not found: ${filePath}`);
-    } else if (error.code === 'EACCES') {
-      throw new Error(`Permission denied reading file: ${filePath}`);
-    } else if (error instanceof SyntaxError || error.name === 'YAMLException') {
-      throw new Error(`Invalid ${path.extname(filePath)} syntax in file: ${filePath}\n${error.message}`);
-    } else {
-      throw error;
-    }
-  }
+  return loadDataFile(filePath, {yamlSchema: yaml.JSON_SCHEMA});
 }
 
 function resolveSchemaPath(refPath, basePath) {
@@ -191,30 +174,35 @@ function createSchemaRegistry(loadedSchemas, mainSchemaPath, verbose = false) {
   return registry;
 }
 
+/**
+ * Add the warning keyword to ajv. Its message is reported for every value the keyword
+ * applies to, as an error when treatWarningsAsErrors, otherwise in the returned warnings list.
+ * The custom keyword validators are nested inside the compiled schema, so they report
+ * into this shared list, which must be emptied before each validation.
+ */
 function setupWarningKeyword(ajv, treatWarningsAsErrors = false) {
+  const warnings = [];
   ajv.addKeyword({
     keyword: 'warning',
     schemaType: 'string',
     compile: function(schemaValue) {
-      return function validate(data, schema, parentSchema, dataPath) {
+      return function validate(data, dataCxt) {
+        const instancePath = dataCxt?.instancePath ?? '';
         if (treatWarningsAsErrors) {
           // Treat warning as an error
-          validate.errors = validate.errors || [];
-          validate.errors.push({
+          validate.errors = [{
             keyword: 'warning',
-            instancePath: dataPath || '',
+            instancePath,
             schemaPath: '#/warning',
             message: schemaValue,
-            data: data,
-            schema: schema
-          });
+            data: data
+          }];
           return false;
         } else {
           // Store as warning
-          validate.warnings = validate.warnings || [];
-          validate.warnings.push({
+          warnings.push({
             keyword: 'warning',
-            instancePath: dataPath || '',
+            instancePath,
             message: schemaValue,
             data: data
           });
@@ -223,31 +211,6 @@ function setupWarningKeyword(ajv, treatWarningsAsErrors = false) {
       };
     }
   });
-}
-
-function collectWarnings(validate) {
-  const warnings = [];
-  
-  // Collect warnings from the main validation function
-  if (validate.warnings) {
-    warnings.push(...validate.warnings);
-  }
-  
-  // Recursively collect warnings from nested validators
-  function collectFromValidator(validator) {
-    if (validator && validator.warnings) {
-      warnings.push(...validator.warnings);
-    }
-    if (validator && validator.schema && typeof validator.schema === 'object') {
-      Object.values(validator.schema).forEach(subValidator => {
-        if (typeof subValidator === 'function') {
-          collectFromValidator(subValidator);
-        }
-      });
-    }
-  }
-  
-  collectFromValidator(validate);
   return warnings;
 }
 
@@ -276,32 +239,36 @@ function formatErrorMessage(error, verbose = false) {
   return message;
 }
 
-function validateSchema(schemaPath, dataPath, {verbose, warningsAsErrors, maxErrors, development}) {
+/**
+ * {location, message} diagnostic of an AJV error or warning, location is the schema file
+ */
+function schemaDiagnostic(error, schemaPath = null) {
+  return {location: schemaPath, message: `${error.instancePath || 'root'}: ${formatErrorMessage(error)}`};
+}
+
+/**
+ * Validate data against the schema at schemaPath, loading every file it references with $ref.
+ * Returns the warnings and the number of schema files used, throws SchemaValidationError
+ * with the AJV errors and warnings when the data does not conform.
+ */
+function validateSchema(schemaPath, data, {verbose = false, warningsAsErrors = false, development = false} = {}) {
+  let loadedSchemas, mainSchema, validate, warningList;
   try {
-    // Load all schemas first
-    console.log(`Loading schema from: ${schemaPath}`);
-    if (development) {
-      console.log('Development mode: Using required_dev instead of required fields and including dev_only objects');
-    }
-    
-    const loadedSchemas = loadAllSchemas(schemaPath, verbose, development);
-    
+    loadedSchemas = loadAllSchemas(schemaPath, verbose, development);
+
     // Create a registry of schemas with their references
     const schemaRegistry = createSchemaRegistry(loadedSchemas, schemaPath, verbose);
-    
+
     // Get the main schema
-    const mainSchema = loadedSchemas.get(path.resolve(schemaPath));
+    mainSchema = loadedSchemas.get(path.resolve(schemaPath));
     if (!mainSchema) {
       throw new Error(`Could not load main schema: ${schemaPath}`);
     }
-    
+
     if (verbose) {
       console.log(`Loaded ${loadedSchemas.size} schema files`);
       console.log(`Created ${schemaRegistry.size} schema registry entries`);
     }
-    
-    console.log(`Loading data from: ${dataPath}`);
-    const data = loadFile(dataPath);
 
     const ajv = new Ajv({ 
       allErrors: true,
@@ -312,7 +279,7 @@ function validateSchema(schemaPath, dataPath, {verbose, warningsAsErrors, maxErr
     addFormats(ajv);
     
     // Add warning keyword
-    setupWarningKeyword(ajv, warningsAsErrors);
+    warningList = setupWarningKeyword(ajv, warningsAsErrors);
 
     // Pre-add all schemas to AJV
     for (const [ref, schema] of schemaRegistry) {
@@ -328,75 +295,103 @@ function validateSchema(schemaPath, dataPath, {verbose, warningsAsErrors, maxErr
     }
 
     // Compile and validate
-    let validate;
     try {
       validate = ajv.compile(mainSchema);
     } catch (error) {
       throw new Error(`Invalid schema: ${error.message}`);
     }
+  } catch (error) {
+    throw new SchemaValidationError(error.message, {location: error.location ?? null});
+  }
 
-    const valid = validate(data);
-    const warnings = collectWarnings(validate);
+  warningList.length = 0;
+  const valid = validate(data);
+  const warnings = [...warningList];
+  if (!valid)
+    throw new SchemaValidationError(`Data does not conform to schema ${schemaPath}`, {
+      errors: validate.errors,
+      warnings,
+      diagnostics: validate.errors.map(e => schemaDiagnostic(e, schemaPath))
+    });
 
-    // Handle warnings
-    if (warnings.length > 0 && !warningsAsErrors) {
-      console.log('\n⚠️  Validation warnings:');
-      const warningsToShow = warnings.slice(0, maxErrors);
-      warningsToShow.forEach((warning, index) => {
-        const message = formatErrorMessage(warning, verbose);
-        console.log(`${index + 1}. ${warning.instancePath || 'root'}: ${message}`);
-        if (verbose && warning.data !== undefined) {
-          console.log(`   Data: ${JSON.stringify(warning.data)}`);
-        }
-      });
-      
-      if (warnings.length > maxErrors) {
-        console.log(`\n... and ${warnings.length - maxErrors} more warnings. Use --max-errors all to see all warnings.`);
-      }
+  return {warnings, schemaCount: loadedSchemas.size};
+}
+
+function printWarnings(warnings, {verbose, maxErrors}) {
+  if (warnings.length === 0)
+    return;
+  console.log('\n⚠️  Validation warnings:');
+  const warningsToShow = warnings.slice(0, maxErrors);
+  warningsToShow.forEach((warning, index) => {
+    const message = formatErrorMessage(warning, verbose);
+    console.log(`${index + 1}. ${warning.instancePath || 'root'}: ${message}`);
+    if (verbose && warning.data !== undefined) {
+      console.log(`   Data: ${JSON.stringify(warning.data)}`);
     }
+  });
+  
+  if (warnings.length > maxErrors) {
+    console.log(`\n... and ${warnings.length - maxErrors} more warnings. Use --max-errors all to see all warnings.`);
+  }
+}
 
-    if (!valid) {
-      console.error('\n❌ Validation failed with the following errors:');
-      const errorsToShow = validate.errors.slice(0, maxErrors);
-      errorsToShow.forEach((error, index) => {
-        const message = formatErrorMessage(error, verbose);
-        console.error(`${index + 1}. ${error.instancePath || 'root'}: ${message}`);
-        if (verbose && error.data !== undefined) {
-          console.error(`   Data: ${JSON.stringify(error.data)}`);
-        }
-        if (verbose && error.schemaPath) {
-          console.error(`   Schema path: ${error.schemaPath}`);
-        }
-      });
-      
-      if (validate.errors.length > maxErrors) {
-        console.error(`\n... and ${validate.errors.length - maxErrors} more errors. Use --max-errors all to see all errors.`);
-      }
-      
-      if (!verbose && (validate.errors.some(e => e.data !== undefined) || warnings.some(w => w.data !== undefined))) {
-        console.error('\nUse --verbose to see detailed data for errors and warnings.');
+function printErrors(errors, warnings, {verbose, maxErrors}) {
+  console.error('\n❌ Validation failed with the following errors:');
+  const errorsToShow = errors.slice(0, maxErrors);
+  errorsToShow.forEach((error, index) => {
+    const message = formatErrorMessage(error, verbose);
+    console.error(`${index + 1}. ${error.instancePath || 'root'}: ${message}`);
+    if (verbose && error.data !== undefined) {
+      console.error(`   Data: ${JSON.stringify(error.data)}`);
+    }
+    if (verbose && error.schemaPath) {
+      console.error(`   Schema path: ${error.schemaPath}`);
+    }
+  });
+  
+  if (errors.length > maxErrors) {
+    console.error(`\n... and ${errors.length - maxErrors} more errors. Use --max-errors all to see all errors.`);
+  }
+  
+  if (!verbose && (errors.some(e => e.data !== undefined) || warnings.some(w => w.data !== undefined))) {
+    console.error('\nUse --verbose to see detailed data for errors and warnings.');
+  }
+}
+
+function validateFile(schemaPath, dataPath, options) {
+  const {verbose, development} = options;
+  const modeText = development ? ' (development mode)' : '';
+  try {
+    console.log(`Loading schema from: ${schemaPath}`);
+    if (development) {
+      console.log('Development mode: Using required_dev instead of required fields and including dev_only objects');
+    }
+    console.log(`Loading data from: ${dataPath}`);
+    const data = loadFile(dataPath);
+
+    const {warnings, schemaCount} = validateSchema(schemaPath, data, options);
+    printWarnings(warnings, options);
+
+    if (warnings.length > 0) {
+      console.log(`\n✅ Validation successful with warnings${modeText}! Data conforms to schema but has issues noted above.`);
+      if (!verbose && warnings.some(w => w.data !== undefined)) {
+        console.log('Use --verbose to see detailed data for warnings.');
       }
-      
-      process.exit(1);
     } else {
-      if (warnings.length > 0 && !warningsAsErrors) {
-        const modeText = development ? ' (development mode)' : '';
-        console.log(`\n✅ Validation successful with warnings${modeText}! Data conforms to schema but has issues noted above.`);
-        if (!verbose && warnings.some(w => w.data !== undefined)) {
-          console.log('Use --verbose to see detailed data for warnings.');
-        }
-      } else {
-        const modeText = development ? ' (development mode)' : '';
-        console.log(`\n✅ Validation successful${modeText}! Data conforms to schema.`);
-      }
-      
-      if (verbose) {
-        console.log(`Total schemas processed: ${loadedSchemas.size}`);
-      }
+      console.log(`\n✅ Validation successful${modeText}! Data conforms to schema.`);
+    }
+    
+    if (verbose) {
+      console.log(`Total schemas processed: ${schemaCount}`);
     }
-
   } catch (error) {
-    console.error(`\n❌ Error: ${error.message}`);
+    if (error instanceof SchemaValidationError && error.errors.length > 0) {
+      printWarnings(error.warnings, options);
+      printErrors(error.errors, error.warnings, options);
+    } else if (error instanceof BuildToolError)
+      console.error(`\n❌ ${error.format()}`);
+    else
+      console.error(`\n❌ Error: ${error.message}`);
     process.exit(1);
   }
 }
@@ -407,8 +402,8 @@ function main() {
   program
     .name('schema-validator')
     .description('JSON/YAML schema validator with support for external references')
-    .argument('<schema-path>', 'path to the schema file (.json, .yaml, .yml)')
-    .argument('<data-path>', 'path to the data file to validate (.json, .yaml, .yml)')
+    .argument('<schema-path>', 'path to the schema file (.json, .json5, .yaml, .yml, .toml)')
+    .argument('<data-path>', 'path to the data file to validate (.json, .json5, .yaml, .yml, .toml, .env, or the front matter of .md and .html pages)')
     .option('--development', 'use required_dev instead of required fields for looser validation, include dev_only objects', false)
     .option('--warnings-as-errors', 'treat warnings as validation errors', false)
     .option('--verbose', 'show detailed loading information', false)
@@ -446,8 +441,10 @@ Examples:
   const [schemaPath, dataPath] = program.args;
   const options = program.opts();
   
-  // Run validation - NOTE: removed await since we made it sync
-  validateSchema(schemaPath, dataPath, options);
+  validateFile(schemaPath, dataPath, options);
 }
 
-main();
+export { validateSchema, schemaDiagnostic, loadFile };
+
+if (isMainModule(import.meta.url))
+  main();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { InvalidArgumentError, program } from 'commander';
+import { BuildToolError, escapeHtml, escapeRegExp, formatError, isMainModule } from './common.js';
+import { watchSite } from './build.js';
+
+const liveReloadPath = '/__livereload';
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+};
+
+const liveReloadSnippet = `<script>
+(() => {
+  const source = new EventSource('${liveReloadPath}');
+  source.addEventListener('reload', () => location.reload());
+})();
+</script>`;
+
+/**
+ * Fixed position box listing problems on top of the page
+ */
+function errorOverlay(title, lines) {
+  return `<div id="__build-errors" style="position:fixed;inset:auto 0 0 0;max-height:50vh;overflow:auto;z-index:2147483647;` +
+    `margin:0;padding:1em;background:#300;color:#fdd;font:14px/1.4 monospace;white-space:pre-wrap;border-top:4px solid #f33">` +
+    `<button onclick="this.parentNode.remove()" style="float:right">close</button>` +
+    `<strong>${escapeHtml(title)}</strong>\n${lines.map(escapeHtml).join('\n')}</div>`;
+}
+
+/**
+ * Insert html before </body>, or at the end when there is no body tag
+ */
+function injectBeforeBodyEnd(page, html) {
+  const index = page.search(/<\/body>/i);
+  return index < 0 ? page + html : page.slice(0, index) + html + page.slice(index);
+}
+
+/**
+ * Add the live reload script and an overlay for the undefined variable placeholders
+ * rendered by TemplateRenderer in development mode and for a failed build of the page
+ */
+function decoratePage(page, {placeholderRegex, buildError}) {
+  const problems = [];
+  if (buildError)
+    problems.push(formatError(buildError));
+  const undefinedNames = [...new Set([...page.matchAll(placeholderRegex)].map(m => m[1]))];
+  if (undefinedNames.length > 0)
+    problems.push(...undefinedNames.map(name => `Undefined template variable: ${name}`));
+  let html = liveReloadSnippet;
+  if (problems.length > 0)
+    html += errorOverlay(buildError ? 'Build failed' : 'Undefined template variables', problems);
+  return injectBeforeBodyEnd(page, html);
+}
+
+/**
+ * Serve the output directory of a build config, rebuilding pages as their sources change.
+ * In development mode pages reload themselves after every build and show build errors
+ * and undefined variables as an overlay.
+ */
+function serveSite(configPath, {port = 8080, host = '127.0.0.1', development = false, output = null} = {}) {
+  const clients = new Set();
+  const failedPages = new Map(); // output path -> error
+
+  const watcher = watchSite(configPath, {
+    output,
+    development,
+    onBuild: ({built, failed}) => {
+      for (const {output} of built)
+        failedPages.delete(path.resolve(output));
+      for (const {page, output, error} of failed) {
+        failedPages.set(path.resolve(output), error);
+        console.error(`${page}: ${formatError(error)}`);
+      }
+      console.error(`Built ${built.length} pages` + (failed.length > 0 ? `, ${failed.length} failed` : ''));
+      for (const client of clients)
+        client.write('event: reload\ndata: {}\n\n');
+    }
+  });
+  if (!watcher.config) {
+    watcher.close();
+    throw new BuildToolError('Could not load the build config', {location: configPath});
+  }
+
+  const placeholderRegex = () => {
+    const {startDelimiter, endDelimiter} = watcher.config;
+    return new RegExp(escapeRegExp(startDelimiter) + '(.+?) is undefined' + escapeRegExp(endDelimiter), 'g');
+  };
+
+  // URLs produced with url_prefix start with that prefix, strip it to find the output file
+  const urlToFile = urlPath => {
+    const config = watcher.config;
+    let relative = decodeURIComponent(urlPath);
+    const prefix = config.urlPrefix.replace(/\/+$/, '');
+    if (prefix.startsWith('/') && (relative === prefix || relative.startsWith(prefix + '/')))
+      relative = relative.slice(prefix.length);
+    const root = path.resolve(config.output);
+    const file = path.resolve(root, '.' + path.posix.normalize('/' + relative));
+    if (file !== root && !file.startsWith(root + path.sep))
+      return null;
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory())
+      return path.join(file, 'index.html');
+    return file;
+  };
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (development && url.pathname === liveReloadPath) {
+      response.writeHead(200, {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive'});
+      response.write('\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+
+    let file;
+    try {
+      file = urlToFile(url.pathname);
+    } catch {
+      response.writeHead(400, {'Content-Type': 'text/plain; charset=utf-8'});
+      response.end(`Bad request: ${url.pathname}\n`);
+      return;
+    }
+    if (development && file && failedPages.has(file) && !fs.existsSync(file)) {
+      const page = decoratePage('', {placeholderRegex: placeholderRegex(), buildError: failedPages.get(file)});
+      response.writeHead(500, {'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache'});
+      response.end(page);
+      return;
+    }
+    if (!file || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      response.writeHead(404, {'Content-Type': 'text/plain; charset=utf-8'});
+      response.end(`Not found: ${url.pathname}\n`);
+      return;
+    }
+
+    const contentType = contentTypes[path.extname(file).toLowerCase()] ?? 'application/octet-stream';
+    let body = fs.readFileSync(file);
+    if (development && contentType.startsWith('text/html'))
+      body = decoratePage(body.toString('utf8'), {placeholderRegex: placeholderRegex(), buildError: failedPages.get(file)});
+    response.writeHead(200, {'Content-Type': contentType, 'Cache-Control': 'no-cache'});
+    response.end(body);
+  });
+
+  server.listen(port, host, () => {
+    const address = server.address();
+    const {output, urlPrefix} = watcher.config;
+    console.error(`Serving ${output} at http://${host}:${address.port}${urlPrefix.startsWith('/') ? urlPrefix : '/'}`);
+  });
+
+  return {
+    server,
+    close() {
+      watcher.close();
+      for (const client of clients)
+        client.end();
+      server.close();
+    }
+  };
+}
+
+function main() {
+  program
+    .name('serve')
+    .description('Serve the output directory of a build config over local HTTP, rebuilding pages on change')
+    .requiredOption('--config <file>', 'build config file (.json, .yaml, .yml, .toml), as given to build.js')
+    .option('--output <dir>', 'override the output directory of the config file')
+    .option('--port <port>', 'port to listen on', x => {
+      const port = parseInt(x, 10);
+      if (isNaN(port) || port < 0 || port > 65535)
+        throw new InvalidArgumentError('Must be a number from 0 to 65535.');
+      return port;
+    }, 8080)
+    .option('--host <host>', 'address to listen on', '127.0.0.1')
+    .option('--development', 'warnings instead of errors, live reload and an in-page error overlay', false)
+    .parse();
+
+  const options = program.opts();
+  try {
+    const {server} = serveSite(options.config, options);
+    server.on('error', error => {
+      const reason = {EADDRINUSE: 'address already in use', EACCES: 'permission denied'}[error.code] ?? error.message;
+      console.error(`Error: Cannot listen on ${options.host}:${options.port}: ${reason}`);
+      process.exit(1);
+    });
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+}
+
+export { serveSite };
+
+if (isMainModule(import.meta.url))
+  main();
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import jsyaml from 'js-yaml';
+import { program } from 'commander';
+import { BuildToolError, NavigationError, formatError, isMainModule } from './common.js';
+import { extractPageEntries, pageMetadata, markdownUrlExtensions, mapExtension } from './list_pages.js';
+
+const formats = ['sitemap', 'atom', 'rss'];
+
+const metadataHelp = `
+Page entry metadata used:
+  title                  feed entry title (default: the file name without extension)
+  lastmod, updated, date last modification date (default: the mtime of the file in --root-path)
+  summary                feed entry summary
+  changefreq, priority   copied into the sitemap
+`;
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'})[c]);
+}
+
+/**
+ * Absolute URL of a page below urlPrefix, which must be an absolute URL itself
+ */
+function pageUrl(urlPrefix, page) {
+  let base;
+  try {
+    base = new URL(urlPrefix.endsWith('/') ? urlPrefix : urlPrefix + '/');
+  } catch {
+    throw new BuildToolError(`URL prefix must be an absolute URL like https://example.com/, got: ${urlPrefix}`);
+  }
+  return new URL(page.split(path.sep).map(encodeURIComponent).join('/'), base).href;
+}
+
+/**
+ * Every page in navigation order as {page, url, title, lastmod, summary, changefreq, priority}.
+ * lastmod is a Date from the lastmod, updated or date metadata, or the mtime of the page file.
+ * urlExtensions replaces page extensions in the URLs, like markdownUrlExtensions of list_pages.js.
+ */
+function siteEntries(navigation, {rootPath = '.', shared = 'shared', urlPrefix, urlExtensions = {}, development = false} = {}) {
+  return extractPageEntries(navigation, {shared, development}).map(({page, entry}) => {
+    const metadata = pageMetadata(entry);
+    const file = path.join(rootPath, page);
+    const date = metadata.lastmod ?? metadata.updated ?? metadata.date;
+    let lastmod = null;
+    if (date !== undefined) {
+      lastmod = new Date(date);
+      if (isNaN(lastmod))
+        throw new NavigationError(`Invalid date for ${page}: ${date}`);
+    }
+    else if (fs.existsSync(file))
+      lastmod = fs.statSync(file).mtime;
+    return {
+      page,
+      url: pageUrl(urlPrefix, mapExtension(page, urlExtensions)),
+      title: metadata.title ?? path.parse(page).name,
+      lastmod,
+      summary: metadata.summary ?? null,
+      changefreq: metadata.changefreq ?? null,
+      priority: metadata.priority ?? null
+    };
+  });
+}
+
+/**
+ * sitemaps.org urlset of the entries
+ */
+function formatSitemap(entries) {
+  const urls = entries.map(({url, lastmod, changefreq, priority}) => [
+    '  <url>',
+    `    <loc>${escapeXml(url)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`] : []),
+    ...(changefreq !== null ? [`    <changefreq>${escapeXml(changefreq)}</changefreq>`] : []),
+    ...(priority !== null ? [`    <priority>${escapeXml(priority)}</priority>`] : []),
+    '  </url>'
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function latest(entries) {
+  const dates = entries.map(e => e.lastmod).filter(Boolean);
+  return dates.length > 0 ? new Date(Math.max(...dates)) : new Date();
+}
+
+/**
+ * Atom feed of the entries in navigation order. Atom requires the feed author, the entries have none.
+ */
+function formatAtomFeed(entries, {title, urlPrefix, author}) {
+  const items = entries.map(({url, title, lastmod, summary}) => [
+    '  <entry>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link href="${escapeXml(url)}"/>`,
+    `    <id>${escapeXml(url)}</id>`,
+    `    <updated>${(lastmod ?? latest(entries)).toISOString()}</updated>`,
+    ...(summary !== null ? [`    <summary>${escapeXml(summary)}</summary>`] : []),
+    '  </entry>'
+  ].join('\n'));
+  const home = pageUrl(urlPrefix, '');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link href="${escapeXml(home)}"/>`,
+    `  <id>${escapeXml(home)}</id>`,
+    `  <updated>${latest(entries).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(author)}</name></author>`,
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * RSS 2.0 feed of the entries in navigation order
+ */
+function formatRssFeed(entries, {title, urlPrefix, description = ''}) {
+  const items = entries.map(({url, title, lastmod, summary}) => [
+    '    <item>',
+    `      <title>${escapeXml(title)}</title>`,
+    `      <link>${escapeXml(url)}</link>`,
+    `      <guid>${escapeXml(url)}</guid>`,
+    ...(lastmod ? [`      <pubDate>${lastmod.toUTCString()}</pubDate>`] : []),
+    ...(summary !== null ? [`      <description>${escapeXml(summary)}</description>`] : []),
+    '    </item>'
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(pageUrl(urlPrefix, ''))}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    `    <lastBuildDate>${latest(entries).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function main() {
+  program
+    .name('sitemap')
+    .description('Generate a sitemap.xml, Atom or RSS feed of the pages in a navigation YAML file')
+    .requiredOption('--navigation <file>', 'Navigation YAML file')
+    .requiredOption('--url-prefix <url>', 'absolute URL the page paths are appended to, like https://example.com/')
+    .option('--root-path <path>', 'The directory holding the page sources, for their modification times', '.')
+    .option('--shared <name>', 'Name of sharded track directory', 'shared')
+    .option('--format <format>', `output format: ${formats.join(', ')}`, 'sitemap')
+    .option('--title <title>', 'feed title', 'Feed')
+    .option('--author <name>', 'feed author, required by --format atom')
+    .option('--description <text>', 'RSS channel description', '')
+    .option('--output <file>', 'write to file instead of stdout')
+    .option('--no-markdown-urls', 'Link Markdown pages by their .md source instead of the .html build.js writes')
+    .option('--development', 'Also include the pages marked draft: true', false)
+    .addHelpText('after', metadataHelp)
+    .parse();
+  const options = program.opts();
+
+  try {
+    if (!formats.includes(options.format))
+      throw new BuildToolError(`--format must be one of ${formats.join(', ')}, got: ${options.format}`);
+    if (options.format === 'atom' && !options.author)
+      throw new BuildToolError('--format atom requires --author, Atom feeds must name an author');
+    const navigation = jsyaml.load(fs.readFileSync(options.navigation, 'utf8'));
+    const entries = siteEntries(navigation, {...options, urlExtensions: options.markdownUrls ? markdownUrlExtensions : {}});
+    const output = options.format === 'atom' ? formatAtomFeed(entries, options)
+      : options.format === 'rss' ? formatRssFeed(entries, options)
+      : formatSitemap(entries);
+    if (options.output)
+      fs.writeFileSync(options.output, output, 'utf8');
+    else
+      process.stdout.write(output);
+  } catch (error) {
+    console.error(formatError(error));
+    process.exit(1);
+  }
+}
+
+export { siteEntries, formatSitemap, formatAtomFeed, formatRssFeed };
+
+if (isMainModule(import.meta.url))
+  main();
@@ -2,34 +2,203 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import yaml from 'js-yaml';
 import { program } from 'commander';
+import { BuildToolError, MergeError, escapeRegExp, isMainModule } from './common.js';
+import { loadDataFile } from './data_formats.js';
 
 function fail(msg) {
   console.error(msg);
   process.exit(1);
 }
 
-function mergeDeep(target, source) {
+const arrayStrategies = ['replace', 'append', 'prepend', 'union', 'merge-by-key'];
+
+const directiveHelp = `
+Array strategies (--arrays and $merge):
+  replace            the later array replaces the earlier one (default)
+  append, prepend    the later items go after or before the earlier ones
+  union              append the items that are not in the earlier array yet
+  merge-by-key[:id]  deep merge objects with the same id (default key: id), append the others
+
+Directives inside the files:
+  $merge:            array strategies for the paths below this object, they also apply
+    scripts: append  to every file merged after this one
+    nav.items: merge-by-key:slug
+  $delete: [key]     remove keys inherited from the earlier files
+  $include: [file]   at the top level: merge these files (relative to this one) before it
+
+Interpolation in string values:
+  \${NAME}                    environment variable, with --env only
+  \${NAME:-default}           the same, the default is used when it is unset or empty
+  \${ref:site.base_url}       value of another key of the merged result, resolved after merging;
+                             a string that is only a reference keeps the type of the value
+  $\${                        a literal \${
+`;
+
+/**
+ * Parse "name" or "merge-by-key:key" into {name, key}
+ */
+function parseArrayStrategy(strategy, where = '--arrays') {
+  const [name, key] = String(strategy).split(':');
+  if (!arrayStrategies.includes(name) || (key !== undefined && name !== 'merge-by-key'))
+    throw new MergeError(`Unknown array strategy "${strategy}" in ${where}, expected one of: ${arrayStrategies.join(', ')}`);
+  return {name, key: key || 'id'};
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object')
+    return false;
+  // Dates of YAML and TOML files are values, not objects to merge
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function mergeArrays(target, source, {name, key}, options, keyPath) {
+  switch (name) {
+    case 'append':
+      return [...target, ...source];
+    case 'prepend':
+      return [...source, ...target];
+    case 'union': {
+      const seen = new Set(target.map(item => JSON.stringify(item)));
+      return [...target, ...source.filter(item => {
+        const id = JSON.stringify(item);
+        return seen.has(id) ? false : seen.add(id);
+      })];
+    }
+    case 'merge-by-key': {
+      const result = [...target];
+      for (const item of source) {
+        const index = isPlainObject(item) && key in item
+          ? result.findIndex(existing => isPlainObject(existing) && existing[key] === item[key])
+          : -1;
+        if (index < 0)
+          result.push(item);
+        else
+          result[index] = mergeDeep({...result[index]}, item, options, `${keyPath}[]`);
+      }
+      return result;
+    }
+    default:
+      return source;
+  }
+}
+
+function valueType(value) {
+  return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Line of every key path of data in the text it was parsed from, keys end in : or = (TOML, .env).
+ * Keys are searched in document order, so a key is found after its parent and previous siblings.
+ */
+function keyLines(text, data) {
+  const lines = new Map();
+  const lineAt = index => text.slice(0, index).split('\n').length;
+  const walk = (value, keyPath, cursor) => {
+    if (Array.isArray(value)) {
+      for (const item of value)
+        cursor = walk(item, null, cursor);
+      return cursor;
+    }
+    if (!isPlainObject(value))
+      return cursor;
+    for (const key of Object.keys(value)) {
+      const name = escapeRegExp(key);
+      const regex = new RegExp(`(?:^[ \\t]*(?:- |export )?|[{,][ \\t]*)(?:"${name}"|'${name}'|${name})[ \\t]*[:=]`, 'gm');
+      regex.lastIndex = cursor;
+      const match = regex.exec(text);
+      const childPath = keyPath === null ? null : keyPath ? `${keyPath}.${key}` : key;
+      if (match) {
+        cursor = match.index + match[0].length;
+        if (childPath !== null)
+          lines.set(childPath, lineAt(cursor));
+      }
+      cursor = walk(value[key], childPath, cursor);
+    }
+    return cursor;
+  };
+  walk(data, '', 0);
+  return lines;
+}
+
+/**
+ * Forget the provenance of keyPath and everything below it
+ */
+function removeProvenance(provenance, keyPath) {
+  for (const key of provenance.keys())
+    if (key === keyPath || key.startsWith(keyPath + '.') || key.startsWith(keyPath + '['))
+      provenance.delete(key);
+}
+
+/**
+ * Deep merge source into target, source wins on matching paths.
+ * Arrays are merged with options.arrays, or the strategy of their dotted path in
+ * options.strategies; $merge directives in source add to options.strategies and
+ * $delete directives remove keys from target.
+ * With options.source = {file, lines} the file:line every leaf comes from is kept in the
+ * options.provenance Map, and with options.strictTypes every value whose type differs from
+ * the earlier value on its path is added to options.typeConflicts as a diagnostic.
+ */
+function mergeDeep(target, source, options = {}, keyPath = '') {
   if (typeof source !== 'object' || source === null) return source;
+  options.strategies ??= new Map();
+  const childPath = key => keyPath ? `${keyPath}.${key}` : key;
+  const sourceLocation = key => {
+    const line = options.source?.lines.get(childPath(key));
+    return line ? `${options.source.file}:${line}` : options.source?.file ?? null;
+  };
+  // Values inside arrays merged by key have no path of their own
+  const provenance = options.source && !keyPath.includes('[]') ? (options.provenance ??= new Map()) : null;
+
+  if (source.$merge !== undefined) {
+    if (!isPlainObject(source.$merge))
+      throw new MergeError(`$merge at ${keyPath || 'top level'} must map paths to array strategies`);
+    for (const [subPath, strategy] of Object.entries(source.$merge))
+      options.strategies.set(childPath(subPath), parseArrayStrategy(strategy, `$merge of ${childPath(subPath)}`));
+  }
+  if (source.$delete !== undefined) {
+    const keys = Array.isArray(source.$delete) ? source.$delete : [source.$delete];
+    for (const key of keys) {
+      delete target[key];
+      provenance && removeProvenance(provenance, childPath(key));
+    }
+  }
 
   for (const key in source) {
     if (Object.prototype.hasOwnProperty.call(source, key)) {
+      if (key === '$merge' || key === '$delete')
+        continue;
       const srcVal = source[key];
       const tgtVal = target[key];
 
-      if (
-        srcVal !== null &&
-        typeof srcVal === 'object' &&
-        !Array.isArray(srcVal) &&
-        tgtVal !== null &&
-        typeof tgtVal === 'object' &&
-        !Array.isArray(tgtVal)
-      ) {
-        if (!target[key]) target[key] = {};
-        mergeDeep(target[key], srcVal);
+      if (options.strictTypes && tgtVal !== undefined && tgtVal !== null && srcVal !== null
+          && valueType(tgtVal) !== valueType(srcVal))
+        (options.typeConflicts ??= []).push({
+          location: sourceLocation(key),
+          message: `${childPath(key)} changes from ${valueType(tgtVal)} to ${valueType(srcVal)}`
+        });
+
+      if (isPlainObject(srcVal)) {
+        if (provenance && !isPlainObject(tgtVal))
+          removeProvenance(provenance, childPath(key));
+        // Fresh objects are merged into an empty one too, so their directives are applied
+        target[key] = mergeDeep(isPlainObject(tgtVal) ? tgtVal : {}, srcVal, options, childPath(key));
+      } else if (Array.isArray(srcVal) && Array.isArray(tgtVal)) {
+        const strategy = options.strategies.get(childPath(key)) ?? parseArrayStrategy(options.arrays ?? 'replace');
+        target[key] = mergeArrays(tgtVal, srcVal, strategy, options, childPath(key));
+        if (provenance) {
+          // Arrays combined from several files list every file that contributed
+          const earlier = strategy.name === 'replace' ? [] : [provenance.get(childPath(key)) ?? []].flat();
+          removeProvenance(provenance, childPath(key));
+          provenance.set(childPath(key), earlier.length > 0 ? [...earlier, sourceLocation(key)] : sourceLocation(key));
+        }
       } else {
         target[key] = srcVal;
+        if (provenance) {
+          removeProvenance(provenance, childPath(key));
+          provenance.set(childPath(key), sourceLocation(key));
+        }
       }
     }
   }
@@ -37,58 +206,199 @@ function mergeDeep(target, source) {
   return target;
 }
 
-program
-  .name('deep_merge')
-  .description('Deep merge YAML/JSON files. Rightmost files override values on matching paths.')
-  .version('1.0.0')
-  .arguments('<file...>')
-  .action((files) => {
-    if (files.length === 0) {
-      fail('At least one file argument is required. Use --help for usage.');
+/**
+ * Read a substitution file in any format of data_formats.js, it must contain a top-level object
+ */
+function loadSubstitutionFile(file) {
+  let data;
+  try {
+    data = loadDataFile(file);
+  } catch (err) {
+    if (!(err instanceof BuildToolError))
+      throw err;
+    throw new MergeError(err.message, {location: err.location});
+  }
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new MergeError(`Must contain a top-level object (got ${Array.isArray(data) ? 'array' : typeof data})`, {location: file});
+  }
+
+  return data;
+}
+
+/**
+ * The file and the files it includes through a top level $include directive, recursively,
+ * as [{file, data}] in merge order: included files before the file including them
+ */
+function loadWithIncludes(file, stack = []) {
+  if (stack.includes(path.resolve(file)))
+    throw new MergeError(`Include cycle: ${[...stack, path.resolve(file)].map(f => path.relative('.', f)).join(' -> ')}`);
+  const data = loadSubstitutionFile(file);
+  const includes = data.$include ?? [];
+  delete data.$include;
+  if (![includes].flat().every(include => typeof include === 'string'))
+    throw new MergeError(`$include must be a file or a list of files in ${file}`);
+  const loaded = [includes].flat().flatMap(include =>
+    loadWithIncludes(path.join(path.dirname(file), include), [...stack, path.resolve(file)]));
+  return [...loaded, {file, data}];
+}
+
+function joinPath(keyPath, key) {
+  return keyPath ? `${keyPath}.${key}` : String(key);
+}
+
+/**
+ * Replace ${NAME} and ${NAME:-default} in the strings of value with environment variables
+ */
+function interpolateEnvironment(value, env, keyPath = '') {
+  if (Array.isArray(value))
+    return value.map((item, i) => interpolateEnvironment(item, env, joinPath(keyPath, i)));
+  if (isPlainObject(value))
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnvironment(item, env, joinPath(keyPath, key))]));
+  if (typeof value !== 'string')
+    return value;
+  return value.replace(/\$\$\{|\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+    if (name === undefined)
+      return match;
+    if (fallback !== undefined)
+      return env[name] || fallback;
+    if (env[name] === undefined)
+      throw new MergeError(`Environment variable ${name} used by ${keyPath} is not set and has no default`);
+    return env[name];
+  });
+}
+
+/**
+ * Replace ${ref:path} in the strings of data with the value at the dotted path of data,
+ * path segments of arrays are indexes. A string that is only a reference gets the referenced value.
+ * Throws a MergeError on unknown references and reference cycles.
+ */
+function resolveReferences(data) {
+  const resolved = new Map();
+
+  const lookup = (reference, keyPath, stack) => {
+    if (stack.includes(reference))
+      throw new MergeError(`Reference cycle: ${[...stack.slice(stack.indexOf(reference)), reference].join(' -> ')}`);
+    if (!resolved.has(reference)) {
+      let value = data;
+      for (const part of reference.split('.')) {
+        if (typeof value !== 'object' || value === null || !Object.hasOwn(value, part))
+          throw new MergeError(`Unknown reference \${ref:${reference}} in ${keyPath}`);
+        value = value[part];
+      }
+      resolved.set(reference, resolve(value, reference, [...stack, reference]));
+    }
+    return resolved.get(reference);
+  };
+
+  const resolve = (value, keyPath, stack) => {
+    if (Array.isArray(value))
+      return value.map((item, i) => resolve(item, joinPath(keyPath, i), [...stack, joinPath(keyPath, i)]));
+    if (isPlainObject(value))
+      return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, resolve(item, joinPath(keyPath, key), [...stack, joinPath(keyPath, key)])]));
+    if (typeof value !== 'string')
+      return value;
+    const whole = /^\$\{ref:([^}]*)\}$/.exec(value);
+    if (whole)
+      return lookup(whole[1], keyPath, stack);
+    return value.replace(/\$\$\{|\$\{ref:([^}]*)\}/g, (match, reference) => {
+      if (reference === undefined)
+        return '${';
+      const referenced = lookup(reference, keyPath, stack);
+      if (typeof referenced === 'object' && referenced !== null)
+        throw new MergeError(`\${ref:${reference}} in ${keyPath} is ${Array.isArray(referenced) ? 'an array' : 'an object'}, which can only be referenced by a whole value`);
+      return String(referenced);
+    });
+  };
+
+  return resolve(data, '', []);
+}
+
+/**
+ * Deep merge files in order, rightmost files override values on matching paths.
+ * The $merge directives of a file apply to the files after it too.
+ * With explain, every leaf path of the result is mapped to the file:line it came from in the
+ * provenance Map, arrays combined from several files map to a list of them.
+ * With strictTypes a MergeError lists every path whose type a later file changes.
+ * Included files are merged right before the file including them and added to dependencies.
+ * With env, its environment variables are interpolated per file. References are resolved
+ * after merging.
+ */
+function mergeFiles(files, {
+  arrays = 'replace',
+  explain = false,
+  strictTypes = false,
+  provenance = new Map(),
+  env = null,
+  dependencies = new Set()
+} = {}) {
+  const options = {arrays, strategies: new Map(), strictTypes, typeConflicts: [], provenance};
+  let result = {};
+  for (const {file, data} of files.flatMap(file => loadWithIncludes(file))) {
+    dependencies.add(file);
+    try {
+      options.source = explain || strictTypes ? {file, lines: keyLines(fs.readFileSync(file, 'utf8'), data)} : null;
+      result = mergeDeep(result, env ? interpolateEnvironment(data, env) : data, options);
+    } catch (err) {
+      if (err instanceof MergeError && !err.location)
+        err.location = file;
+      throw err;
     }
+  }
+  if (options.typeConflicts.length > 0)
+    throw new MergeError(`${options.typeConflicts.length} values change type`, {diagnostics: options.typeConflicts});
+  return resolveReferences(result);
+}
 
-    let result = {};
+function main() {
+  program
+    .name('deep_merge')
+    .description('Deep merge JSON, JSON5, YAML, TOML, .env and front matter files. Rightmost files override values on matching paths.')
+    .version('1.0.0')
+    .arguments('<file...>')
+    .option('--arrays <strategy>', `how arrays on matching paths merge: ${arrayStrategies.join(', ')}`, 'replace')
+    .option('--explain <file>', 'write a JSON map of every leaf path of the result to the file:line it came from')
+    .option('--strict-types', 'fail when a later file changes the type of an existing value (null matches any type)', false)
+    .option('--env', 'replace ${NAME} and ${NAME:-default} in string values with environment variables', false)
+    .addHelpText('after', directiveHelp)
+    .action((files, options) => {
+      if (files.length === 0) {
+        fail('At least one file argument is required. Use --help for usage.');
+      }
 
-    for (const file of files) {
-      let raw;
+      let result;
+      const provenance = new Map();
       try {
-        raw = fs.readFileSync(file, 'utf8');
+        parseArrayStrategy(options.arrays);
+        result = mergeFiles(files, {...options, explain: Boolean(options.explain), env: options.env ? process.env : null, provenance});
       } catch (err) {
-        fail(`Cannot read file ${file}: ${err.message}`);
+        if (!(err instanceof MergeError))
+          throw err;
+        fail(err.format());
       }
 
-      let data;
-      const ext = path.extname(file).toLowerCase();
-
-      if (ext === '.json') {
-        try {
-          data = JSON.parse(raw);
-        } catch (err) {
-          fail(`Invalid JSON in ${file}: ${err.message}`);
-        }
-      } else if (ext === '.yaml' || ext === '.yml') {
+      if (options.explain) {
+        const sorted = Object.fromEntries([...provenance].sort(([a], [b]) => a.localeCompare(b)));
         try {
-          data = yaml.load(raw);
+          fs.writeFileSync(options.explain, JSON.stringify(sorted, null, 2) + '\n');
         } catch (err) {
-          fail(`Invalid YAML in ${file}: ${err.message}`);
+          fail(`Cannot write ${options.explain}: ${err.message}`);
         }
-      } else {
-        fail(`Unsupported extension ${ext} in ${file} (only .json, .yaml, .yml allowed)`);
-      }
-
-      if (typeof data !== 'object' || data === null || Array.isArray(data)) {
-        fail(`${file} must contain a top-level object (got ${typeof data})`);
       }
 
-      result = mergeDeep(result, data);
-    }
+      console.log(JSON.stringify(result, null, 2));
+    });
 
-    console.log(JSON.stringify(result, null, 2));
-  });
+  // Show help if no arguments given
+  if (process.argv.length <= 2) {
+    program.help();
+  }
 
-// Show help if no arguments given
-if (process.argv.length <= 2) {
-  program.help();
+  program.parse();
 }
 
-program.parse();
\ No newline at end of file
+export { mergeDeep, mergeFiles, loadSubstitutionFile, resolveReferences };
+
+if (isMainModule(import.meta.url))
+  main();
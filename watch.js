@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+
+const defaultDebounce = 100;
+
+/**
+ * Watch files for changes and call onChange with the Set of changed absolute paths
+ * once a burst of saves has been quiet for debounce milliseconds.
+ *
+ * The parent directories are watched instead of the files themselves so that editors
+ * that save by replacing the file are still noticed. Any change to a file directly in
+ * one of the given directories is reported too, which covers files that do not exist yet.
+ *
+ * Returns {update(files, directories), close()}, update replaces the watched sets.
+ */
+function watchFiles(files, onChange, {directories = [], debounce = defaultDebounce} = {}) {
+  const watchers = new Map(); // directory -> fs.FSWatcher
+  let watchedFiles = new Set();
+  let watchedDirectories = new Set();
+  let changed = new Set();
+  let timer = null;
+  let running = false;
+
+  function flush() {
+    timer = null;
+    // A rebuild that is still running picks the changes up once it is done
+    if (running) {
+      timer = setTimeout(flush, debounce);
+      return;
+    }
+    const batch = changed;
+    changed = new Set();
+    running = true;
+    Promise.resolve()
+      .then(() => onChange(batch))
+      .catch(error => console.error(`Error: ${error.message}`))
+      .finally(() => { running = false; });
+  }
+
+  function queue(filePath) {
+    changed.add(filePath);
+    if (timer)
+      clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  }
+
+  function watchDirectory(dir) {
+    try {
+      const watcher = fs.watch(dir, (event, filename) => {
+        if (!filename)
+          return;
+        const filePath = path.join(dir, filename.toString());
+        if (watchedFiles.has(filePath) || watchedDirectories.has(dir))
+          queue(filePath);
+      });
+      watcher.on('error', error => console.error(`Warning: Stopped watching ${dir}: ${error.message}`));
+      watchers.set(dir, watcher);
+    } catch (error) {
+      console.error(`Warning: Cannot watch ${dir}: ${error.message}`);
+    }
+  }
+
+  function update(files, directories = []) {
+    watchedFiles = new Set([...files].map(f => path.resolve(f)));
+    watchedDirectories = new Set([...directories].map(d => path.resolve(d)));
+    const needed = new Set([...watchedDirectories, ...[...watchedFiles].map(f => path.dirname(f))]);
+    for (const [dir, watcher] of watchers)
+      if (!needed.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    for (const dir of needed)
+      if (!watchers.has(dir))
+        watchDirectory(dir);
+  }
+
+  function close() {
+    if (timer)
+      clearTimeout(timer);
+    for (const watcher of watchers.values())
+      watcher.close();
+    watchers.clear();
+  }
+
+  update(files, directories);
+  return {update, close};
+}
+
+export { watchFiles };